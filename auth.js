@@ -0,0 +1,293 @@
+// Proof of identity: pairing codes and session tokens for web clients, and
+// the shared secrets the addon uses on the ingest endpoints.
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { Logger } = require("./logger");
+const { ProtocolError } = require("./protocol");
+const { gamertagKey, sameGamertag } = require("./gamertags");
+
+// =====================================================
+// PAIRING (PROOF OF GAMERTAG OWNERSHIP)
+// =====================================================
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// The addon shows each player a short-lived code in game; the web client
+// proves it belongs to that player by sending the code in `join`. Wrong codes
+// are counted per code (PAIRING_MAX_ATTEMPTS, then it is void) and per client
+// address (PAIRING_IP_MAX_FAILURES per PAIRING_IP_WINDOW), as guessing only
+// costs an attacker a new connection.
+class PairingManager {
+    constructor(config) {
+        this.config = config;
+        this.codes = new Map();
+        this.sessions = new Map();
+        this.ipFailures = new Map(); // ip → { count, windowStart }
+    }
+
+    codeKey(worldId, gamertag) {
+        return `${worldId}:${gamertagKey(gamertag)}`;
+    }
+
+    // Code reported by the addon in /minecraft-data; the TTL starts when first seen
+    registerCode(worldId, gamertag, code) {
+        const key = this.codeKey(worldId, gamertag);
+        const existing = this.codes.get(key);
+        if (existing && existing.code === code) {
+            return existing;
+        }
+
+        const entry = { code, expiresAt: Date.now() + this.config.PAIRING_CODE_TTL, used: false, failures: 0 };
+        this.codes.set(key, entry);
+        return entry;
+    }
+
+    // Code generated by the server for the addon to display
+    issueCode(worldId, gamertag) {
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const entry = { code, expiresAt: Date.now() + this.config.PAIRING_CODE_TTL, used: false, failures: 0 };
+        this.codes.set(this.codeKey(worldId, gamertag), entry);
+        return entry;
+    }
+
+    // A wrong guess counts against the code; once it has had PAIRING_MAX_ATTEMPTS
+    // it stays void (the addon re-sending it doesn't revive it)
+    verifyCode(worldId, gamertag, code) {
+        const entry = this.codes.get(this.codeKey(worldId, gamertag));
+        if (!entry || entry.used || Date.now() > entry.expiresAt || entry.failures >= this.config.PAIRING_MAX_ATTEMPTS) {
+            return false;
+        }
+        if (!safeEqual(entry.code, code)) {
+            entry.failures++;
+            return false;
+        }
+        return true;
+    }
+
+    // Whether an address has used up its failed pairing attempts
+    isIpBlocked(ip, now = Date.now()) {
+        const failures = this.ipFailures.get(ip);
+        return Boolean(failures) && now - failures.windowStart < this.config.PAIRING_IP_WINDOW &&
+            failures.count >= this.config.PAIRING_IP_MAX_FAILURES;
+    }
+
+    recordIpFailure(ip, now = Date.now()) {
+        const failures = this.ipFailures.get(ip);
+        if (!failures || now - failures.windowStart >= this.config.PAIRING_IP_WINDOW) {
+            this.ipFailures.set(ip, { count: 1, windowStart: now });
+        } else {
+            failures.count++;
+        }
+    }
+
+    issueSession(worldId, gamertag) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + this.config.SESSION_TOKEN_TTL;
+        this.sessions.set(token, { worldId, gamertag, expiresAt });
+        return { token, expiresAt };
+    }
+
+    verifySession(token, worldId, gamertag) {
+        const session = typeof token === 'string' ? this.sessions.get(token) : null;
+        return Boolean(session) && Date.now() <= session.expiresAt &&
+            session.worldId === worldId && sameGamertag(session.gamertag, gamertag);
+    }
+
+    revokeSession(token) {
+        this.sessions.delete(token);
+    }
+
+    // Drop every session of a player (kicks and bans must not be undone by a resume)
+    revokeSessionsFor(worldId, gamertag) {
+        for (const [token, session] of this.sessions.entries()) {
+            if (sameGamertag(session.gamertag, gamertag) && (worldId === null || session.worldId === worldId)) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+
+    // Check join credentials from a client address; returns how the client authenticated
+    authenticate(worldId, gamertag, data, ip = null) {
+        if (data.sessionToken !== undefined) {
+            if (!this.verifySession(data.sessionToken, worldId, gamertag)) {
+                throw new ProtocolError('INVALID_SESSION_TOKEN', 'Session token invalid or expired');
+            }
+            return 'session';
+        }
+
+        if (data.pairingCode !== undefined) {
+            if (this.isIpBlocked(ip)) {
+                throw new ProtocolError('TOO_MANY_ATTEMPTS', 'Too many failed pairing attempts, try again later');
+            }
+            if (!this.verifyCode(worldId, gamertag, data.pairingCode)) {
+                this.recordIpFailure(ip);
+                throw new ProtocolError('INVALID_PAIRING_CODE', 'Pairing code invalid or expired');
+            }
+            return 'pairing-code';
+        }
+
+        if (this.config.REQUIRE_PAIRING) {
+            throw new ProtocolError('PAIRING_REQUIRED', 'A pairing code from the game is required to join');
+        }
+        return 'none';
+    }
+
+    // Spend the credentials once the join went through. Codes are single use and
+    // stay stored as used, so the addon re-sending the same code doesn't revive it.
+    consume(worldId, gamertag, data) {
+        if (data.sessionToken !== undefined) {
+            this.revokeSession(data.sessionToken);
+        } else if (data.pairingCode !== undefined) {
+            const entry = this.codes.get(this.codeKey(worldId, gamertag));
+            if (entry) entry.used = true;
+        }
+    }
+
+    cleanup(now) {
+        for (const [key, entry] of this.codes.entries()) {
+            if (now > entry.expiresAt) this.codes.delete(key);
+        }
+        for (const [token, session] of this.sessions.entries()) {
+            if (now > session.expiresAt) this.sessions.delete(token);
+        }
+        for (const [ip, failures] of this.ipFailures.entries()) {
+            if (now - failures.windowStart >= this.config.PAIRING_IP_WINDOW) this.ipFailures.delete(ip);
+        }
+    }
+}
+
+// =====================================================
+// INGEST AUTHENTICATION (ADDON → SERVER)
+// =====================================================
+
+// Per-world shared secrets for the addon endpoints. A request authenticates with
+// either the key itself (`Authorization: Bearer <key>` or `X-Api-Key`) or an
+// HMAC-SHA256 of `<timestamp>.<raw body>` sent as `X-Signature: sha256=<hex>`
+// with `X-Timestamp: <ms>`. Several keys per world allow rotation.
+class IngestAuth {
+    constructor(config, env = process.env) {
+        this.config = config;
+        this.env = env;
+        this.keys = new Map();
+        this.seenSignatures = new Map();
+        this.watched = null;
+        this.onChange = null;
+    }
+
+    // Load keys from INGEST_KEYS / INGEST_KEY and the keys file
+    load() {
+        const keys = new Map();
+        const add = (worldId, value) => {
+            const list = (Array.isArray(value) ? value : [value]).filter(k => typeof k === 'string' && k);
+            if (list.length) keys.set(worldId, (keys.get(worldId) || []).concat(list));
+        };
+
+        if (this.env.INGEST_KEY) {
+            add('*', this.env.INGEST_KEY);
+        }
+
+        const sources = [];
+        if (this.env.INGEST_KEYS) sources.push(['INGEST_KEYS', () => this.env.INGEST_KEYS]);
+        if (this.config.INGEST_KEYS_FILE) sources.push([this.config.INGEST_KEYS_FILE, () => fs.readFileSync(this.config.INGEST_KEYS_FILE, 'utf8')]);
+
+        for (const [name, read] of sources) {
+            try {
+                for (const [worldId, value] of Object.entries(JSON.parse(read()))) {
+                    add(worldId, value);
+                }
+            } catch (e) {
+                Logger.error(`Failed to load ingest keys from ${name}`, { error: e });
+                return false;
+            }
+        }
+
+        this.keys = keys;
+        return true;
+    }
+
+    // Reload the keys file whenever it changes, so keys rotate without a restart
+    watch() {
+        if (!this.config.INGEST_KEYS_FILE) return;
+        this.watched = this.config.INGEST_KEYS_FILE;
+        this.onChange = () => {
+            if (this.load()) {
+                Logger.info(`Ingest keys reloaded (${this.keys.size} scopes)`);
+            }
+        };
+        fs.watchFile(this.watched, { interval: this.config.INGEST_KEYS_POLL_INTERVAL }, this.onChange);
+    }
+
+    unwatch() {
+        if (!this.watched) return;
+        fs.unwatchFile(this.watched, this.onChange);
+        this.watched = null;
+    }
+
+    isEnabled() {
+        return this.keys.size > 0;
+    }
+
+    getKeys(worldId) {
+        return (this.keys.get(worldId) || []).concat(this.keys.get('*') || []);
+    }
+
+    // Returns null when the request is allowed, else { status, code, error }
+    verify(req, worldId) {
+        if (!this.isEnabled()) return null;
+
+        const keys = this.getKeys(worldId);
+        const auth = req.get('Authorization');
+        const apiKey = req.get('X-Api-Key') || (auth && auth.startsWith('Bearer ') ? auth.slice(7) : null);
+        const signature = req.get('X-Signature');
+
+        if (apiKey) {
+            return keys.some(k => safeEqual(k, apiKey)) ? null
+                : { status: 403, code: 'INVALID_API_KEY', error: 'API key not valid for this world' };
+        }
+
+        if (signature) {
+            const timestamp = Number(req.get('X-Timestamp'));
+            if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > this.config.INGEST_REPLAY_WINDOW) {
+                return { status: 403, code: 'STALE_TIMESTAMP', error: 'Timestamp missing or outside the replay window' };
+            }
+
+            const payload = `${timestamp}.${req.rawBody ? req.rawBody.toString('utf8') : ''}`;
+            const valid = keys.some(k => safeEqual(
+                'sha256=' + crypto.createHmac('sha256', k).update(payload).digest('hex'),
+                signature
+            ));
+            if (!valid) {
+                return { status: 403, code: 'INVALID_SIGNATURE', error: 'Signature does not match' };
+            }
+
+            if (this.seenSignatures.has(signature)) {
+                return { status: 403, code: 'REPLAYED_REQUEST', error: 'Request already processed' };
+            }
+            this.seenSignatures.set(signature, timestamp);
+            return null;
+        }
+
+        return { status: 401, code: 'MISSING_CREDENTIALS', error: 'API key or signature required' };
+    }
+
+    // Signatures only need remembering while their timestamp is acceptable
+    cleanup(now) {
+        for (const [signature, timestamp] of this.seenSignatures.entries()) {
+            if (Math.abs(now - timestamp) > this.config.INGEST_REPLAY_WINDOW) {
+                this.seenSignatures.delete(signature);
+            }
+        }
+    }
+}
+
+module.exports = {
+    PairingManager,
+    IngestAuth,
+    safeEqual
+};
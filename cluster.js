@@ -0,0 +1,246 @@
+// State shared between server instances through a pub/sub adapter (see pubsub.js).
+
+const { Logger } = require("./logger");
+const { gamertagKey } = require("./gamertags");
+
+// =====================================================
+// CLUSTER (STATE SHARED BETWEEN INSTANCES)
+// =====================================================
+
+// Every instance keeps a full copy of each world; sockets stay on the
+// instance that accepted them. Participants, PTT/voice state, signaling and
+// Minecraft data travel as events on one channel, and a shared hash lets a
+// freshly started instance learn who is already connected elsewhere.
+class Cluster {
+    // io: the server's { broadcastToRoom, applyTopologyChanges, sendMessage, ingestMinecraftData }
+    constructor(adapter, { config, stateManager, io }) {
+        this.adapter = adapter;
+        this.config = config;
+        this.instanceId = config.INSTANCE_ID;
+        this.stateManager = stateManager;
+        this.io = io;
+        this.heartbeat = null;
+        this.adapter.on('error', (error) => Logger.error('State backend connection error', { error }));
+        this.keys = {
+            events: `${this.config.CLUSTER_PREFIX}:events`,
+            participants: `${this.config.CLUSTER_PREFIX}:participants`,
+            instances: `${this.config.CLUSTER_PREFIX}:instances`
+        };
+    }
+
+    async start() {
+        await this.adapter.connect();
+        await this.adapter.subscribe(this.keys.events, (event) => this.receive(event));
+        await this.beat();
+        await this.sync();
+
+        this.heartbeat = setInterval(() => {
+            this.beat()
+                .then(() => this.reap())
+                .catch(error => Logger.error('Cluster heartbeat failed', { error }));
+        }, this.config.CLUSTER_HEARTBEAT_INTERVAL);
+    }
+
+    async stop() {
+        clearInterval(this.heartbeat);
+        try {
+            for (const clientData of this.stateManager.clients.values()) {
+                await this.adapter.hdel(this.keys.participants, this.field(clientData.worldId, clientData.gamertag));
+            }
+            await this.adapter.hdel(this.keys.instances, this.instanceId);
+        } finally {
+            await this.adapter.close();
+        }
+    }
+
+    field(worldId, gamertag) {
+        return `${worldId}/${gamertagKey(gamertag)}`;
+    }
+
+    async beat() {
+        await this.adapter.hset(this.keys.instances, this.instanceId, Date.now());
+    }
+
+    async liveInstances() {
+        const now = Date.now();
+        const instances = await this.adapter.hgetall(this.keys.instances);
+        const live = new Set();
+        for (const [id, lastSeen] of Object.entries(instances)) {
+            if (now - lastSeen < this.config.CLUSTER_INSTANCE_TIMEOUT) live.add(id);
+        }
+        return live;
+    }
+
+    // Load players already connected to other instances
+    async sync() {
+        const live = await this.liveInstances();
+        const entries = await this.adapter.hgetall(this.keys.participants);
+
+        for (const [field, entry] of Object.entries(entries)) {
+            if (entry.instance === this.instanceId || !live.has(entry.instance)) {
+                await this.adapter.hdel(this.keys.participants, field);
+                continue;
+            }
+            try {
+                const room = this.stateManager.getRoom(entry.worldId);
+                this.addRemote(room, entry);
+            } catch (e) {
+                Logger.warn(`Skipped remote participant ${entry.gamertag}: ${e.message}`);
+            }
+        }
+    }
+
+    // Drop players of instances that stopped sending heartbeats
+    async reap() {
+        const live = await this.liveInstances();
+
+        for (const room of this.stateManager.rooms.values()) {
+            for (const [gamertag, instance] of room.remoteClients.entries()) {
+                if (live.has(instance)) continue;
+                Logger.warn(`Instance ${instance} timed out, dropping ${gamertag} from ${room.id}`);
+                this.removeRemote(room, gamertag);
+                await this.adapter.hdel(this.keys.participants, this.field(room.id, gamertag));
+            }
+        }
+
+        const instances = await this.adapter.hgetall(this.keys.instances);
+        for (const id of Object.keys(instances)) {
+            if (!live.has(id)) await this.adapter.hdel(this.keys.instances, id);
+        }
+    }
+
+    addRemote(room, { gamertag, instance, ptt, voice }) {
+        gamertag = room.canonicalName(gamertag);
+        room.remoteClients.set(gamertag, instance);
+        if (ptt) room.pttStates.set(gamertag, ptt);
+        if (voice) room.voiceStates.set(gamertag, voice);
+    }
+
+    // Forget a remote player and tell the local clients
+    removeRemote(room, gamertag) {
+        room.remoteClients.delete(gamertag);
+        room.pttStates.delete(gamertag);
+        room.voiceStates.delete(gamertag);
+
+        this.io.broadcastToRoom(room, { type: 'leave', gamertag });
+        this.io.broadcastToRoom(room, { type: 'participants-list', worldId: room.id, list: room.getParticipants() });
+        this.io.applyTopologyChanges(room, room.updateTopology());
+    }
+
+    publish(kind, worldId, payload = {}) {
+        const event = { origin: this.instanceId, kind, worldId, ...payload };
+        this.adapter.publish(this.keys.events, event)
+            .catch(error => Logger.error(`Cluster publish of ${kind} failed`, { error }));
+    }
+
+    // Shared record of a local participant, with its current states
+    store(room, gamertag) {
+        const entry = {
+            worldId: room.id,
+            gamertag,
+            instance: this.instanceId,
+            ptt: room.pttStates.get(gamertag) || null,
+            voice: room.voiceStates.get(gamertag) || null
+        };
+        this.adapter.hset(this.keys.participants, this.field(room.id, gamertag), entry)
+            .catch(error => Logger.error('Cluster state update failed', { error }));
+        return entry;
+    }
+
+    announceJoin(room, gamertag) {
+        const { ptt, voice } = this.store(room, gamertag);
+        this.publish('join', room.id, { gamertag, ptt, voice });
+    }
+
+    announceLeave(room, gamertag) {
+        this.adapter.hdel(this.keys.participants, this.field(room.id, gamertag))
+            .catch(error => Logger.error('Cluster state update failed', { error }));
+        this.publish('leave', room.id, { gamertag });
+    }
+
+    announcePtt(room, gamertag) {
+        const { ptt } = this.store(room, gamertag);
+        this.publish('ptt', room.id, { gamertag, state: ptt });
+    }
+
+    announceVoice(room, gamertag) {
+        const { voice } = this.store(room, gamertag);
+        this.publish('voice', room.id, { gamertag, state: voice });
+    }
+
+    // Signaling for a player held by another instance
+    relaySignal(room, message) {
+        this.publish('signal', room.id, { to: message.to, message });
+    }
+
+    shareMinecraftData(room, body) {
+        this.publish('minecraft-data', room.id, { body });
+    }
+
+    receive(event) {
+        if (event.origin === this.instanceId) return;
+
+        let room;
+        try {
+            room = this.stateManager.getRoom(event.worldId);
+        } catch (e) {
+            Logger.warn(`Ignored cluster ${event.kind} for ${event.worldId}: ${e.message}`);
+            return;
+        }
+
+        // Another instance may spell a gamertag differently than this one
+        if (event.gamertag !== undefined) {
+            event.gamertag = room.canonicalName(event.gamertag);
+        }
+
+        try {
+            switch (event.kind) {
+                case 'join':
+                    if (room.findClient(event.gamertag)) {
+                        Logger.warn(`${event.gamertag} joined ${room.id} on ${event.origin} while connected here`);
+                    }
+                    this.addRemote(room, { ...event, instance: event.origin });
+                    this.io.broadcastToRoom(room, { type: 'join', gamertag: event.gamertag });
+                    this.io.broadcastToRoom(room, { type: 'participants-list', worldId: room.id, list: room.getParticipants() });
+                    this.io.applyTopologyChanges(room, room.updateTopology());
+                    break;
+
+                case 'leave':
+                    if (room.remoteClients.get(event.gamertag) === event.origin) {
+                        this.removeRemote(room, event.gamertag);
+                    }
+                    break;
+
+                case 'ptt':
+                    room.pttStates.set(event.gamertag, event.state);
+                    this.io.broadcastToRoom(room, { type: 'ptt-update', gamertag: event.gamertag, ...event.state });
+                    break;
+
+                case 'voice':
+                    room.voiceStates.set(event.gamertag, event.state);
+                    break;
+
+                case 'signal': {
+                    const targetWs = room.findClient(event.to);
+                    if (targetWs && targetWs.readyState === 1) {
+                        this.io.sendMessage(targetWs, event.message);
+                    }
+                    break;
+                }
+
+                case 'minecraft-data':
+                    this.io.ingestMinecraftData(room, event.body);
+                    break;
+
+                default:
+                    Logger.warn(`Unknown cluster event: ${event.kind}`);
+            }
+        } catch (e) {
+            Logger.error(`Cluster ${event.kind} handling failed`, { error: e });
+        }
+    }
+}
+
+module.exports = {
+    Cluster
+};
@@ -0,0 +1,110 @@
+// Wire encodings for EnviroVoice WebSocket messages.
+// Clients pick one through the Sec-WebSocket-Protocol header; JSON text is
+// the default when they don't ask for anything.
+
+const { Encoder, Decoder, ExtensionCodec } = require("@msgpack/msgpack");
+
+// =====================================================
+// QUANTIZATION
+// =====================================================
+
+const POSITION_EXT_TYPE = 1;
+const POSITION_SCALE = 64; // 1/64 block
+const VOLUME_SCALE = 10; // 0.1 dB
+const VOLUME_KEYS = new Set(['volume', 'voiceVolume']);
+
+// {x, y, z} objects with nothing else in them
+function isPosition(value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length === 3 &&
+        Number.isFinite(value.x) && Number.isFinite(value.y) && Number.isFinite(value.z);
+}
+
+// Positions travel as three int32 in fixed point
+const extensionCodec = new ExtensionCodec();
+extensionCodec.register({
+    type: POSITION_EXT_TYPE,
+    encode: (value) => {
+        if (!isPosition(value)) return null;
+        const buf = Buffer.allocUnsafe(12);
+        buf.writeInt32BE(Math.round(value.x * POSITION_SCALE), 0);
+        buf.writeInt32BE(Math.round(value.y * POSITION_SCALE), 4);
+        buf.writeInt32BE(Math.round(value.z * POSITION_SCALE), 8);
+        return buf;
+    },
+    decode: (data) => {
+        const buf = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        return {
+            x: buf.readInt32BE(0) / POSITION_SCALE,
+            y: buf.readInt32BE(4) / POSITION_SCALE,
+            z: buf.readInt32BE(8) / POSITION_SCALE
+        };
+    }
+});
+
+// Apply fn to every volume field, returning a copy
+function mapVolumes(value, fn) {
+    if (Array.isArray(value)) {
+        return value.map(item => mapVolumes(item, fn));
+    }
+    if (typeof value !== 'object' || value === null || ArrayBuffer.isView(value)) {
+        return value;
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = VOLUME_KEYS.has(key) && typeof item === 'number' ? fn(item) : mapVolumes(item, fn);
+    }
+    return result;
+}
+
+// =====================================================
+// CODECS
+// =====================================================
+
+const jsonCodec = {
+    protocol: 'envirovoice.json',
+    binary: false,
+    encode: (message) => JSON.stringify(message),
+    decode: (raw) => JSON.parse(raw.toString())
+};
+
+const encoder = new Encoder({ extensionCodec, ignoreUndefined: true });
+const decoder = new Decoder({ extensionCodec });
+
+const msgpackCodec = {
+    protocol: 'envirovoice.msgpack',
+    binary: true,
+    encode: (message) => {
+        const bytes = encoder.encode(mapVolumes(message, v => Math.round(v * VOLUME_SCALE)));
+        return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    },
+    decode: (raw) => mapVolumes(decoder.decode(raw), v => v / VOLUME_SCALE)
+};
+
+const CODECS = new Map([
+    [jsonCodec.protocol, jsonCodec],
+    [msgpackCodec.protocol, msgpackCodec]
+]);
+
+// Codec for a negotiated subprotocol (JSON when none was negotiated)
+function getCodec(protocol) {
+    return CODECS.get(protocol) || jsonCodec;
+}
+
+// `handleProtocols` for WebSocketServer: first offered protocol we support
+function selectProtocol(protocols) {
+    for (const protocol of protocols) {
+        if (CODECS.has(protocol)) return protocol;
+    }
+    return false;
+}
+
+module.exports = {
+    jsonCodec,
+    msgpackCodec,
+    getCodec,
+    selectProtocol,
+    PROTOCOLS: Array.from(CODECS.keys())
+};
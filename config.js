@@ -0,0 +1,223 @@
+// Configuration loader. Each key of a schema is resolved from, in order of
+// precedence: values passed in code (overrides), the environment variable of
+// the same name, the optional JSON/YAML file named by CONFIG_FILE, and the
+// schema default.
+// Values are type-checked; all problems are reported together.
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// =====================================================
+// PARSING
+// =====================================================
+
+// Env vars are strings; turn one into the schema type (or an error string)
+function parseEnv(spec, raw) {
+    if (spec.nullable && raw === '') return { value: null };
+
+    switch (spec.type) {
+        case 'integer':
+            return /^-?\d+$/.test(raw.trim()) ? { value: Number(raw) } : { error: 'must be an integer' };
+        case 'number': {
+            const value = Number(raw);
+            return raw.trim() !== '' && Number.isFinite(value) ? { value } : { error: 'must be a number' };
+        }
+        case 'boolean':
+            if (['true', '1', 'yes'].includes(raw.toLowerCase())) return { value: true };
+            if (['false', '0', 'no'].includes(raw.toLowerCase())) return { value: false };
+            return { error: 'must be true or false' };
+        case 'list':
+            return { value: raw.split(',').map(item => item.trim()).filter(Boolean) };
+        case 'object':
+            try {
+                return { value: JSON.parse(raw) };
+            } catch (e) {
+                return { error: 'must be a JSON object' };
+            }
+        default:
+            return { value: raw };
+    }
+}
+
+// Check a value (already of any JS type) against its spec
+function check(spec, value) {
+    if (value === null) {
+        return spec.nullable ? null : 'must not be null';
+    }
+
+    switch (spec.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return 'must be an integer';
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return 'must be true or false';
+            break;
+        case 'string':
+            if (typeof value !== 'string') return 'must be a string';
+            if (spec.enum && !spec.enum.includes(value)) return `must be one of ${spec.enum.join(', ')}`;
+            break;
+        case 'list':
+            if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) return 'must be a list of strings';
+            if (spec.enum) {
+                const unknown = value.find(item => !spec.enum.includes(item));
+                if (unknown !== undefined) return `contains ${unknown}, expected ${spec.enum.join(', ')}`;
+            }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+            break;
+        default:
+            return `has unknown type ${spec.type}`;
+    }
+
+    if (spec.min !== undefined && value < spec.min) return `must be >= ${spec.min}`;
+    if (spec.max !== undefined && value > spec.max) return `must be <= ${spec.max}`;
+    return null;
+}
+
+function readFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+    const parsed = ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+
+    if (parsed === null || parsed === undefined) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('top level must be an object');
+    }
+    return parsed;
+}
+
+// =====================================================
+// LOADING
+// =====================================================
+
+// Resolve every schema key. Options: overrides ({ key: value }), env (default
+// process.env), file (default env.CONFIG_FILE), validate(values) → extra error strings.
+// Returns { values, sources, file }; throws ConfigError when invalid.
+function loadConfig(schema, options = {}) {
+    const env = options.env || process.env;
+    const file = options.file !== undefined ? options.file : (env.CONFIG_FILE || null);
+    const overrides = options.overrides || {};
+    const errors = [];
+
+    for (const key of Object.keys(overrides)) {
+        if (!schema[key]) errors.push(`${key} (option): unknown key`);
+    }
+
+    let fileValues = {};
+    if (file) {
+        try {
+            fileValues = readFile(file);
+        } catch (e) {
+            throw new ConfigError([`${file}: ${e.message}`]);
+        }
+        for (const key of Object.keys(fileValues)) {
+            if (!schema[key]) errors.push(`${key} (${file}): unknown key`);
+        }
+    }
+
+    const values = {};
+    const sources = {};
+
+    for (const [key, spec] of Object.entries(schema)) {
+        let value;
+        let source;
+
+        if (overrides[key] !== undefined) {
+            value = overrides[key];
+            source = 'option';
+        } else if (env[key] !== undefined) {
+            const parsed = parseEnv(spec, env[key]);
+            if (parsed.error) {
+                errors.push(`${key} (env): ${parsed.error}, got "${env[key]}"`);
+                continue;
+            }
+            value = parsed.value;
+            source = 'env';
+        } else if (fileValues[key] !== undefined) {
+            value = spec.type === 'list' && typeof fileValues[key] === 'string'
+                ? parseEnv(spec, fileValues[key]).value
+                : fileValues[key];
+            source = 'file';
+        } else {
+            value = typeof spec.default === 'function' ? spec.default() : spec.default;
+            source = 'default';
+        }
+
+        const problem = check(spec, value);
+        if (problem) {
+            errors.push(`${key} (${source}): ${problem}, got ${JSON.stringify(value)}`);
+            continue;
+        }
+
+        values[key] = value;
+        sources[key] = source;
+    }
+
+    if (errors.length === 0 && options.validate) {
+        errors.push(...options.validate(values));
+    }
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return { values, sources, file };
+}
+
+// Reload into a live config object. Only keys marked `reloadable` are
+// applied; other changes are reported so they can be flagged for a restart.
+// Generated defaults (a default function, e.g. a random id) are not generated
+// again: without an explicit value the current one is kept.
+// Throws ConfigError (and changes nothing) when the new config is invalid.
+function reloadConfig(target, schema, options = {}) {
+    const { values, sources, file } = loadConfig(schema, options);
+    const applied = [];
+    const restartRequired = [];
+
+    for (const [key, spec] of Object.entries(schema)) {
+        if (typeof spec.default === 'function' && sources[key] === 'default') continue;
+        if (JSON.stringify(values[key]) === JSON.stringify(target[key])) continue;
+
+        if (spec.reloadable) {
+            target[key] = values[key];
+            applied.push(key);
+        } else {
+            restartRequired.push(key);
+        }
+    }
+
+    return { applied, restartRequired, sources, file };
+}
+
+// Effective values with secrets masked, for display
+function describeConfig(schema, values, sources) {
+    const result = {};
+    for (const [key, spec] of Object.entries(schema)) {
+        const value = values[key];
+        result[key] = {
+            value: spec.secret && value !== null && value !== undefined ? '[redacted]' : value,
+            source: sources[key],
+            reloadable: Boolean(spec.reloadable)
+        };
+    }
+    return result;
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig,
+    reloadConfig,
+    describeConfig
+};
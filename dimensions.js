@@ -0,0 +1,99 @@
+// Minecraft dimensions.
+//
+// Players carry a dimension id (Bedrock's player.dimension.id, e.g.
+// minecraft:nether; DEFAULT_DIMENSION when missing). Players in different
+// dimensions never hear or connect to each other unless DIMENSION_LINKS joins
+// the two dimensions ("minecraft:overworld=minecraft:nether"). Across linked
+// dimensions positions are compared at overworld scale: DIMENSION_SCALES gives
+// the overworld blocks per horizontal block of a dimension (nether 8), so
+// players near matching portals on either side are near each other.
+
+// Bare ids get the minecraft: namespace; fallback when missing
+function normalizeDimension(id, fallback = null) {
+    if (typeof id !== 'string' || id.trim() === '') return fallback;
+    const dimension = id.trim().toLowerCase();
+    return dimension.includes(':') ? dimension : `minecraft:${dimension}`;
+}
+
+// "a=b" → [a, b]; null when malformed
+function parseDimensionLink(entry) {
+    const parts = entry.split('=');
+    if (parts.length !== 2) return null;
+    const [a, b] = parts.map(part => normalizeDimension(part));
+    return a && b && a !== b ? [a, b] : null;
+}
+
+// Problems with the DIMENSION_* keys (config validation)
+function validateDimensionConfig(values) {
+    const errors = [];
+    if (!normalizeDimension(values.DEFAULT_DIMENSION)) {
+        errors.push('DEFAULT_DIMENSION must not be empty');
+    }
+    for (const entry of values.DIMENSION_LINKS) {
+        if (!parseDimensionLink(entry)) {
+            errors.push(`DIMENSION_LINKS: ${entry} is not a pair of different dimensions (a=b)`);
+        }
+    }
+    for (const [dimension, scale] of Object.entries(values.DIMENSION_SCALES)) {
+        if (normalizeDimension(dimension) !== dimension) {
+            errors.push(`DIMENSION_SCALES.${dimension} must be a full lowercase id (${normalizeDimension(dimension)})`);
+        }
+        if (!Number.isFinite(scale) || scale <= 0) {
+            errors.push(`DIMENSION_SCALES.${dimension} must be a number > 0`);
+        }
+    }
+    return errors;
+}
+
+class Dimensions {
+    constructor(config) {
+        this.config = config;
+        this.linksSource = null;
+        this.links = new Map(); // dimension → Set of linked dimensions
+    }
+
+    normalize(id) {
+        return normalizeDimension(id, normalizeDimension(this.config.DEFAULT_DIMENSION));
+    }
+
+    // Other dimensions a dimension hears, rebuilt when a reload replaces DIMENSION_LINKS
+    linked(dimension) {
+        if (this.linksSource !== this.config.DIMENSION_LINKS) {
+            this.linksSource = this.config.DIMENSION_LINKS;
+            this.links = new Map();
+            for (const [a, b] of this.linksSource.map(parseDimensionLink)) {
+                if (!this.links.has(a)) this.links.set(a, new Set());
+                if (!this.links.has(b)) this.links.set(b, new Set());
+                this.links.get(a).add(b);
+                this.links.get(b).add(a);
+            }
+        }
+        return this.links.get(dimension) || new Set();
+    }
+
+    canHear(a, b) {
+        return a === b || this.linked(a).has(b);
+    }
+
+    scale(dimension) {
+        return this.config.DIMENSION_SCALES[dimension] || 1;
+    }
+
+    // Position at overworld scale (height is not scaled)
+    toOverworld(location, dimension) {
+        const scale = this.scale(dimension);
+        return scale === 1 ? location : { x: location.x * scale, y: location.y, z: location.z * scale };
+    }
+
+    fromOverworld(location, dimension) {
+        const scale = this.scale(dimension);
+        return scale === 1 ? location : { x: location.x / scale, y: location.y, z: location.z / scale };
+    }
+}
+
+module.exports = {
+    normalizeDimension,
+    parseDimensionLink,
+    validateDimensionConfig,
+    Dimensions
+};
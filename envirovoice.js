@@ -0,0 +1,1771 @@
+// Embeddable EnviroVoice server. createEnviroVoiceServer() returns an
+// EventEmitter with an Express app for the HTTP endpoints and a WebSocket
+// server that can be attached to any HTTP server; server-production.js and
+// server.js are thin wrappers around it.
+
+const express = require("express");
+const http = require("http");
+const { WebSocketServer } = require("ws");
+const crypto = require("crypto");
+const v8 = require("v8");
+const { EventEmitter } = require("events");
+const { performance, monitorEventLoopDelay } = require("perf_hooks");
+const { getCodec, selectProtocol } = require("./codec");
+const { loadConfig, reloadConfig, describeConfig } = require("./config");
+const { createAdapter } = require("./pubsub");
+const { Logger, logContext } = require("./logger");
+const { Registry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require("./metrics");
+const { WORLD_ID_PATTERN, MESSAGE_SCHEMAS, validateMessage, validateMinecraftData, validatePairingCodeRequest, validateGamertag } = require("./schemas");
+const { CLOSE_CODES, AUDIO_FRAME_MARKER, SENDER_FIELDS, ProtocolError } = require("./protocol");
+const { StateManager } = require("./state");
+const { PairingManager, IngestAuth, safeEqual } = require("./auth");
+const { IceServerProvider } = require("./ice");
+const { AuditLog, ModerationManager } = require("./moderation");
+const { Cluster } = require("./cluster");
+const { createGamertagVerifier, sameGamertag } = require("./gamertags");
+const { SendQueue } = require("./outbound");
+const { BroadcastScheduler } = require("./scheduler");
+const { ATTENUATION_MODELS, validateSpatialConfig } = require("./spatial");
+const { DEFAULT_FILTER_PRESETS, validateFilterPresets, FilterPresets } = require("./filters");
+const { validateDimensionConfig } = require("./dimensions");
+
+// =====================================================
+// PRODUCTION CONFIGURATION
+// =====================================================
+
+// Every key can be set through an env var of the same name or CONFIG_FILE
+// (JSON/YAML). `reloadable` keys are re-read on SIGHUP.
+const CONFIG_SCHEMA = {
+    PORT: { type: 'integer', default: 3000, min: 0, max: 65535 },
+
+    // Memory limits
+    MAX_CONNECTIONS: { type: 'integer', default: 200, min: 1, reloadable: true },
+    MAX_CONNECTIONS_PER_ROOM: { type: 'integer', default: 50, min: 1, reloadable: true },
+    MAX_ROOMS: { type: 'integer', default: 20, min: 1, reloadable: true },
+    MAX_MESSAGE_SIZE: { type: 'integer', default: 50 * 1024, min: 1024 }, // 50KB max per message
+    BODY_LIMIT: { type: 'string', default: '100kb' }, // max HTTP JSON body
+
+    // Timeouts
+    WS_PING_INTERVAL: { type: 'integer', default: 30000, min: 1000 }, // 30s
+    WS_PONG_TIMEOUT: { type: 'integer', default: 5000, min: 100 }, // 5s
+    CLIENT_TIMEOUT: { type: 'integer', default: 60000, min: 1000, reloadable: true }, // 60s inactivity
+
+    // Outbound backpressure (per client)
+    SEND_HIGH_WATER: { type: 'integer', default: 256 * 1024, min: 1024, reloadable: true }, // bytes buffered before messages queue up
+    SEND_QUEUE_MAX: { type: 'integer', default: 1024 * 1024, min: 2048, reloadable: true }, // bytes pending before a client is dropped at once
+    SLOW_CONSUMER_TIMEOUT: { type: 'integer', default: 10000, min: 100, reloadable: true }, // 10s over the high-water mark
+    SLOW_CONSUMER_CLOSE_TIMEOUT: { type: 'integer', default: 5000, min: 100, reloadable: true }, // wait for the close handshake, then terminate
+
+    // World state fan-out: /minecraft-data posts are merged and sent at this rate
+    BROADCAST_TICK_RATE: { type: 'number', default: 10, min: 1, max: 60, reloadable: true }, // Hz
+
+    // Rate limiting
+    RATE_LIMIT_WINDOW: { type: 'integer', default: 1000, min: 100, reloadable: true }, // 1s
+    RATE_LIMIT_MAX: { type: 'integer', default: 50, min: 1, reloadable: true }, // 50 msgs/s per client
+
+    // Cleanup
+    CLEANUP_INTERVAL: { type: 'integer', default: 60000, min: 1000 }, // 1 min
+    STATE_RETENTION: { type: 'integer', default: 300000, min: 0, reloadable: true }, // 5 min
+
+    // Memory optimization
+    USE_COMPRESSION: { type: 'boolean', default: true },
+    GC_INTERVAL: { type: 'integer', default: 120000, min: 1000 }, // 2 min
+
+    // Rooms (one per Minecraft world)
+    DEFAULT_WORLD_ID: { type: 'string', default: 'default' },
+
+    // Proximity
+    HEARING_RADIUS: { type: 'number', default: 48, min: 1, reloadable: true }, // blocks
+
+    // Dimensions: players in different dimensions don't hear each other (see dimensions.js)
+    DEFAULT_DIMENSION: { type: 'string', default: 'minecraft:overworld', reloadable: true }, // for players sent without one
+    DIMENSION_LINKS: { type: 'list', default: [], reloadable: true }, // "a=b" pairs that hear each other
+    DIMENSION_SCALES: { type: 'object', default: { 'minecraft:nether': 8 }, reloadable: true }, // overworld blocks per block
+
+    // Peer topology (WebRTC mesh)
+    MAX_PEERS: { type: 'integer', default: 8, min: 1, reloadable: true }, // per client
+    PEER_CONNECT_RADIUS: { type: 'number', default: 48, min: 1, reloadable: true }, // blocks
+    PEER_DISCONNECT_RADIUS: { type: 'number', default: 60, min: 1, reloadable: true }, // blocks, must be >= connect radius
+
+    // Spatial audio mix computed per listener (gain, pan, environment filter)
+    SPATIAL_AUDIO: { type: 'boolean', default: true, reloadable: true },
+    SPATIAL_ATTENUATION: { type: 'string', default: 'inverse', enum: ATTENUATION_MODELS, reloadable: true },
+    SPATIAL_REF_DISTANCE: { type: 'number', default: 2, min: 0.1, reloadable: true }, // blocks at full volume
+    SPATIAL_ROLLOFF: { type: 'number', default: 1, min: 0, reloadable: true },
+    SPATIAL_MAX_RANGE: { type: 'number', default: 48, min: 1, reloadable: true }, // blocks, silent beyond (normal voice)
+    SPATIAL_WHISPER_RANGE: { type: 'number', default: 8, min: 1, reloadable: true }, // blocks, whisper voice mode
+    SPATIAL_SHOUT_RANGE: { type: 'number', default: 96, min: 1, reloadable: true }, // blocks, shout voice mode
+    SPATIAL_WORLDS: { type: 'object', default: {}, reloadable: true }, // { "<worldId>": { attenuation, refDistance, rolloff, maxRange, whisperRange, shoutRange } }
+    FILTER_PRESETS: { type: 'object', default: DEFAULT_FILTER_PRESETS, reloadable: true }, // see filters.js
+
+    // Pairing (web client ↔ Bedrock player)
+    REQUIRE_PAIRING: { type: 'boolean', default: true },
+    PAIRING_CODE_TTL: { type: 'integer', default: 300000, min: 1000, reloadable: true }, // 5 min
+    PAIRING_MAX_ATTEMPTS: { type: 'integer', default: 5, min: 1, reloadable: true }, // wrong guesses before a code is void
+    PAIRING_IP_MAX_FAILURES: { type: 'integer', default: 20, min: 1, reloadable: true }, // failed pairings per address and window
+    PAIRING_IP_WINDOW: { type: 'integer', default: 600000, min: 1000, reloadable: true }, // 10 min
+    SESSION_TOKEN_TTL: { type: 'integer', default: 86400000, min: 1000, reloadable: true }, // 24h
+
+    // Gamertag verification at join and on /gamertag/:tag
+    GAMERTAG_VERIFIER: { type: 'string', default: 'disabled', enum: ['disabled', 'http', 'allowlist'] },
+    GAMERTAG_LOOKUP_URL: { type: 'string', default: 'https://xboxgamertag.com/search/{gamertag}', reloadable: true },
+    GAMERTAG_LOOKUP_MATCH: { type: 'string', default: 'Gamerscore', reloadable: true }, // text only found for existing gamertags
+    GAMERTAG_LOOKUP_TIMEOUT: { type: 'integer', default: 5000, min: 100, reloadable: true }, // ms
+    GAMERTAG_ALLOWLIST: { type: 'list', default: [], reloadable: true },
+    GAMERTAG_CACHE_SIZE: { type: 'integer', default: 1000, min: 0 }, // answers remembered
+    GAMERTAG_CACHE_TTL: { type: 'integer', default: 3600000, min: 0, reloadable: true }, // 1h
+
+    // Ingest authentication (/minecraft-data)
+    INGEST_KEYS_FILE: { type: 'string', default: null, nullable: true }, // JSON { "<worldId>" | "*": key | [keys] }
+    INGEST_KEYS_POLL_INTERVAL: { type: 'integer', default: 5000, min: 100 }, // 5s
+    INGEST_REPLAY_WINDOW: { type: 'integer', default: 30000, min: 1000, reloadable: true }, // 30s
+
+    // Delta-encoded updates
+    KEYFRAME_INTERVAL: { type: 'integer', default: 10000, min: 100, reloadable: true }, // 10s, full resync even without a gap
+
+    // Moderation
+    ADMIN_TOKEN: { type: 'string', default: null, nullable: true, secret: true }, // admin API disabled when unset
+    MODERATION_FILE: { type: 'string', default: null, nullable: true }, // JSON, bans and mutes survive restarts
+    AUDIT_LOG_FILE: { type: 'string', default: null, nullable: true }, // JSON lines, appended
+    AUDIT_LOG_MAX_ENTRIES: { type: 'integer', default: 1000, min: 0, reloadable: true }, // kept in memory for queries
+
+    // Logging
+    LOG_LEVEL: { type: 'string', default: 'info', enum: ['debug', 'info', 'warn', 'error'], reloadable: true },
+    LOG_FORMAT: { type: 'string', default: () => process.stdout.isTTY ? 'pretty' : 'json', enum: ['json', 'pretty'], reloadable: true },
+    LOG_REDACT: { type: 'list', default: [], enum: ['ip', 'sdp'], reloadable: true },
+    LOG_SAMPLE_WINDOW: { type: 'integer', default: 10000, min: 100, reloadable: true }, // 10s
+    LOG_SAMPLE_LIMIT: { type: 'integer', default: 10, min: 1, reloadable: true }, // entries per noisy event and window
+
+    // ICE servers handed to clients (TURN REST API credentials, e.g. coturn use-auth-secret)
+    STUN_URLS: { type: 'list', default: ['stun:stun.l.google.com:19302'], reloadable: true },
+    TURN_URLS: { type: 'list', default: [], reloadable: true }, // turn:host:3478?transport=udp, turns:host:5349
+    TURN_SECRET: { type: 'string', default: null, nullable: true, secret: true }, // coturn static-auth-secret
+    TURN_CREDENTIAL_TTL: { type: 'integer', default: 3600000, min: 60000, reloadable: true }, // 1h
+    TURN_REFRESH_MARGIN: { type: 'integer', default: 300000, min: 1000, reloadable: true }, // re-issue 5 min before expiry
+
+    // Audio relay (fallback when peer-to-peer WebRTC fails)
+    AUDIO_RELAY: { type: 'boolean', default: false },
+    AUDIO_RELAY_MAX_FRAME: { type: 'integer', default: 1275, min: 64 }, // bytes, largest Opus packet
+    AUDIO_RELAY_MAX_BITRATE: { type: 'integer', default: 64000, min: 8000, reloadable: true }, // bits/s per sender
+    AUDIO_RELAY_MAX_BUFFERED: { type: 'integer', default: 64 * 1024, min: 4096, reloadable: true }, // bytes queued per listener
+
+    // Multiple instances (shared state and messaging)
+    STATE_BACKEND: { type: 'string', default: 'memory', enum: ['memory', 'redis'] },
+    REDIS_URL: { type: 'string', default: null, nullable: true, secret: true }, // redis://[:password@]host:port/db
+    INSTANCE_ID: { type: 'string', default: () => crypto.randomBytes(4).toString('hex') },
+    CLUSTER_PREFIX: { type: 'string', default: 'envirovoice' }, // channel and key namespace
+    CLUSTER_HEARTBEAT_INTERVAL: { type: 'integer', default: 10000, min: 1000 }, // 10s
+    CLUSTER_INSTANCE_TIMEOUT: { type: 'integer', default: 30000, min: 2000 }, // peers silent this long are dropped
+
+    // Metrics
+    METRICS_TOKEN: { type: 'string', default: null, nullable: true, secret: true }, // /metrics is public when unset
+    EVENT_LOOP_RESOLUTION: { type: 'integer', default: 20, min: 1 }, // ms
+};
+
+// Checks across keys
+function validateConfig(values) {
+    const errors = [];
+    if (values.PEER_DISCONNECT_RADIUS < values.PEER_CONNECT_RADIUS) {
+        errors.push('PEER_DISCONNECT_RADIUS must be >= PEER_CONNECT_RADIUS');
+    }
+    errors.push(...validateSpatialConfig(values));
+    errors.push(...validateDimensionConfig(values));
+    errors.push(...validateFilterPresets(values.FILTER_PRESETS));
+    if (values.SEND_QUEUE_MAX <= values.SEND_HIGH_WATER) {
+        errors.push('SEND_QUEUE_MAX must be greater than SEND_HIGH_WATER');
+    }
+    if (!WORLD_ID_PATTERN.test(values.DEFAULT_WORLD_ID)) {
+        errors.push('DEFAULT_WORLD_ID must match the worldId format');
+    }
+    for (const url of values.STUN_URLS) {
+        if (!/^stuns?:/.test(url)) errors.push(`STUN_URLS: ${url} is not a stun: or stuns: URL`);
+    }
+    for (const url of values.TURN_URLS) {
+        if (!/^turns?:/.test(url)) errors.push(`TURN_URLS: ${url} is not a turn: or turns: URL`);
+    }
+    if (values.TURN_URLS.length > 0 && !values.TURN_SECRET) {
+        errors.push('TURN_SECRET is required when TURN_URLS is set');
+    }
+    if (values.TURN_REFRESH_MARGIN >= values.TURN_CREDENTIAL_TTL) {
+        errors.push('TURN_REFRESH_MARGIN must be less than TURN_CREDENTIAL_TTL');
+    }
+    if (values.GAMERTAG_VERIFIER === 'http' && !values.GAMERTAG_LOOKUP_URL.includes('{gamertag}')) {
+        errors.push('GAMERTAG_LOOKUP_URL must contain {gamertag}');
+    }
+    if (values.GAMERTAG_VERIFIER === 'allowlist' && values.GAMERTAG_ALLOWLIST.length === 0) {
+        errors.push('GAMERTAG_ALLOWLIST is required when GAMERTAG_VERIFIER is allowlist');
+    }
+    if (values.STATE_BACKEND === 'redis' && !values.REDIS_URL) {
+        errors.push('REDIS_URL is required when STATE_BACKEND is redis');
+    }
+    if (values.CLUSTER_INSTANCE_TIMEOUT <= values.CLUSTER_HEARTBEAT_INTERVAL) {
+        errors.push('CLUSTER_INSTANCE_TIMEOUT must be greater than CLUSTER_HEARTBEAT_INTERVAL');
+    }
+    return errors;
+}
+
+// =====================================================
+// SERVER FACTORY
+// =====================================================
+
+// Label for a client-supplied message type (unknown types share one series)
+function messageTypeLabel(type) {
+    return typeof type === 'string' && Object.hasOwn(MESSAGE_SCHEMAS, type) ? type : 'unknown';
+}
+
+// Address as seen by the one trusted proxy in front (Render), like Express
+// with trust proxy 1: the last X-Forwarded-For entry, as earlier ones come
+// from the client. Without the header, the socket peer.
+function getClientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    const hops = forwarded ? forwarded.split(',').map(hop => hop.trim()).filter(Boolean) : [];
+    return hops.length ? hops[hops.length - 1] : req.socket.remoteAddress;
+}
+
+// Keep a connection's log context on its socket callbacks
+function bindContext(context, fn) {
+    return (...args) => logContext.run(context, () => fn(...args));
+}
+
+// Build a server instance. Options:
+//   config  { KEY: value } applied over env vars and CONFIG_FILE
+//   env     variables to read instead of process.env
+//   schema  extra config keys for the host application (validated, listed in /config)
+//   hub     MemoryHub shared with other instances in this process (STATE_BACKEND memory)
+//   hooks   { message(data, context), minecraftData(body, context) } run before a
+//           client message or /minecraft-data post is handled; return nothing to
+//           keep it, a replacement to transform it, or null/false to refuse it
+// Emits join, leave, ptt, voice, minecraft-update and signal for this instance's
+// clients. Throws ConfigError on invalid settings.
+function createEnviroVoiceServer(options = {}) {
+    const env = options.env || process.env;
+    const hooks = options.hooks || {};
+    const schema = { ...CONFIG_SCHEMA, ...options.schema };
+    const configOptions = { env, overrides: options.config, validate: validateConfig };
+
+    const { values: CONFIG, sources: configSources, file: configFile } = loadConfig(schema, configOptions);
+
+    // Logger settings follow CONFIG (also after a reload). They are process-wide:
+    // with several instances, the last one configured or reloaded wins.
+    function configureLogger() {
+        Logger.configure({
+            level: CONFIG.LOG_LEVEL,
+            format: CONFIG.LOG_FORMAT,
+            redact: CONFIG.LOG_REDACT,
+            sampleWindow: CONFIG.LOG_SAMPLE_WINDOW,
+            sampleLimit: CONFIG.LOG_SAMPLE_LIMIT
+        });
+    }
+
+    configureLogger();
+
+    const voice = new EventEmitter();
+    const auditLog = new AuditLog(CONFIG);
+    const moderation = new ModerationManager(CONFIG);
+    const filterPresets = new FilterPresets(CONFIG);
+    const stateManager = new StateManager(CONFIG, moderation, filterPresets);
+    const pairingManager = new PairingManager(CONFIG);
+    const ingestAuth = new IngestAuth(CONFIG, env);
+    const iceServers = new IceServerProvider(CONFIG);
+    const gamertagVerifier = createGamertagVerifier(CONFIG);
+    const outbound = new WeakMap(); // ws → SendQueue
+    const broadcaster = new BroadcastScheduler(CONFIG, {
+        flush: broadcastWorld,
+        onTick: ({ duration }) => metrics.tickDuration.observe({}, duration / 1000)
+    });
+    const cluster = new Cluster(createAdapter(CONFIG.STATE_BACKEND, { redisUrl: CONFIG.REDIS_URL, hub: options.hub }), {
+        config: CONFIG,
+        stateManager,
+        io: { broadcastToRoom, applyTopologyChanges, sendMessage, ingestMinecraftData }
+    });
+
+    if (!ingestAuth.load()) {
+        throw new Error('Ingest keys could not be loaded');
+    }
+    moderation.load();
+    auditLog.load();
+
+    // =====================================================
+    // METRICS (PROMETHEUS)
+    // =====================================================
+
+    const registry = new Registry();
+    const eventLoopDelay = monitorEventLoopDelay({ resolution: CONFIG.EVENT_LOOP_RESOLUTION });
+
+    const metrics = {
+        connections: registry.gauge('envirovoice_connections', 'Open WebSocket connections by state', ['state'], (gauge) => {
+            const counts = { pending: 0, joined: 0, closing: 0 };
+            for (const ws of wss.clients) {
+                if (ws.readyState !== 1) counts.closing++;
+                else if (stateManager.clients.has(ws)) counts.joined++;
+                else counts.pending++;
+            }
+            for (const [state, value] of Object.entries(counts)) {
+                gauge.set({ state }, value);
+            }
+        }),
+        roomClients: registry.gauge('envirovoice_room_clients', 'Joined clients per world', ['world'], (gauge) => {
+            for (const room of stateManager.rooms.values()) {
+                gauge.set({ world: room.id }, room.clients.size);
+            }
+        }),
+        messagesReceived: registry.counter('envirovoice_messages_received_total', 'Decoded WebSocket messages by type', ['type']),
+        messagesDropped: registry.counter('envirovoice_messages_dropped_total', 'Rejected WebSocket messages by type and error code', ['type', 'reason']),
+        rateLimited: registry.counter('envirovoice_rate_limited_total', 'Messages refused by the per-client rate limit'),
+        updatesCoalesced: registry.counter('envirovoice_updates_coalesced_total', 'Queued minecraft-update messages replaced by a newer one'),
+        slowConsumers: registry.counter('envirovoice_slow_consumer_disconnects_total', 'Clients disconnected for not keeping up with their messages'),
+        sendBacklog: registry.gauge('envirovoice_send_backlog_bytes', 'Outbound bytes waiting for clients', [], (gauge) => {
+            let bytes = 0;
+            for (const ws of wss.clients) {
+                bytes += outbound.get(ws)?.backlog() || 0;
+            }
+            gauge.set({}, bytes);
+        }),
+        signalingRelayed: registry.counter('envirovoice_signaling_relayed_total', 'Signaling messages forwarded to their target', ['type']),
+        signalingFailed: registry.counter('envirovoice_signaling_relay_failures_total', 'Signaling messages whose target was not connected', ['type']),
+        audioFrames: registry.counter('envirovoice_audio_relay_frames_total', 'Relayed audio frames by outcome (per listener when forwarded)', ['result']),
+        audioBytes: registry.counter('envirovoice_audio_relay_bytes_total', 'Audio bytes sent to relay listeners'),
+        gamertagLookups: registry.counter('envirovoice_gamertag_verifications_total', 'Gamertag verifications by outcome', ['result']),
+        fanout: registry.histogram('envirovoice_minecraft_data_fanout_clients', 'Clients updated per world and broadcast tick',
+            [0, 1, 2, 5, 10, 20, 50, 100, 200]),
+        ingestDuration: registry.histogram('envirovoice_minecraft_data_duration_seconds', 'Time to apply a /minecraft-data post',
+            [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]),
+        postsMerged: registry.counter('envirovoice_minecraft_data_merged_total', '/minecraft-data posts replaced by a newer one before their broadcast tick'),
+        tickDuration: registry.histogram('envirovoice_broadcast_tick_duration_seconds', 'Time to fan out every dirty world in one broadcast tick',
+            [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]),
+        eventLoopLag: registry.gauge('envirovoice_event_loop_lag_seconds', 'Event loop delay since the previous scrape', ['quantile'], (gauge) => {
+            // Samples include the sampling interval itself
+            const lag = (ns) => Math.max(0, ns / 1e6 - CONFIG.EVENT_LOOP_RESOLUTION) / 1000;
+            gauge.set({ quantile: '0.5' }, lag(eventLoopDelay.percentile(50)));
+            gauge.set({ quantile: '0.99' }, lag(eventLoopDelay.percentile(99)));
+            gauge.set({ quantile: '1' }, lag(eventLoopDelay.max));
+            eventLoopDelay.reset();
+        }),
+        memory: registry.gauge('envirovoice_memory_bytes', 'Process memory usage', ['type'], (gauge) => {
+            const mem = process.memoryUsage();
+            gauge.set({ type: 'rss' }, mem.rss);
+            gauge.set({ type: 'heap_used' }, mem.heapUsed);
+            gauge.set({ type: 'heap_total' }, mem.heapTotal);
+            gauge.set({ type: 'external' }, mem.external);
+            gauge.set({ type: 'heap_limit' }, v8.getHeapStatistics().heap_size_limit);
+        }),
+        uptime: registry.gauge('envirovoice_uptime_seconds', 'Seconds since the process started', [], (gauge) => {
+            gauge.set({}, process.uptime());
+        })
+    };
+
+    // =====================================================
+    // EXPRESS APP SETUP
+    // =====================================================
+
+    const app = express();
+
+    // Trust proxy (for Render)
+    app.set('trust proxy', 1);
+
+    // CORS and body parsing only apply to the voice routes, so a host app
+    // mounting this one keeps its own handling for everything else
+    const VOICE_ROUTES = ['/minecraft-data', '/pairing-code', '/gamertag', '/health', '/metrics', '/config', '/ptt-states', '/voice-states', '/admin'];
+
+    // CORS
+    app.use(VOICE_ROUTES, (req, res, next) => {
+        res.header('Access-Control-Allow-Origin', '*');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        if (req.method === 'OPTIONS') {
+            return res.sendStatus(200);
+        }
+
+        next();
+    });
+
+    // JSON body parser with limit (raw body kept for signature checks)
+    app.use(VOICE_ROUTES, express.json({
+        limit: CONFIG.BODY_LIMIT,
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+
+    // Requests log under their own id
+    app.use((req, res, next) => {
+        logContext.run({ req: crypto.randomBytes(4).toString('hex') }, next);
+    });
+
+    // Request logging middleware
+    app.use((req, res, next) => {
+        const start = Date.now();
+        res.on('finish', () => {
+            const duration = Date.now() - start;
+            if (duration > 1000) {
+                Logger.warn(`Slow request: ${req.method} ${req.path} (${duration}ms)`);
+            }
+        });
+        next();
+    });
+
+    // Reject /minecraft-data bodies that don't match the declared schema
+    function validateMinecraftBody(req, res, next) {
+        const invalid = validateMinecraftData(req.body);
+        if (invalid) {
+            Logger.warn(`Invalid /minecraft-data for ${req.worldId}: ${invalid.code} ${invalid.field}`);
+            return res.status(400).json({ success: false, code: invalid.code, field: invalid.field, error: invalid.message });
+        }
+        next();
+    }
+
+    // Resolve the target world of an addon request and check its credentials
+    function requireIngestAuth(req, res, next) {
+        try {
+            req.worldId = stateManager.normalizeWorldId(req.body.worldId ?? req.get('X-World-Id'));
+        } catch (e) {
+            return res.status(400).json({ success: false, code: e.code, field: 'worldId', error: e.message });
+        }
+
+        const failure = ingestAuth.verify(req, req.worldId);
+        if (failure) {
+            Logger.warn(`Rejected ${req.method} ${req.path} for ${req.worldId}: ${failure.code}`, { ip: req.ip });
+            return res.status(failure.status).json({ success: false, code: failure.code, error: failure.error });
+        }
+
+        next();
+    }
+
+    // =====================================================
+    // HTTP ENDPOINTS
+    // =====================================================
+
+    // Minecraft data endpoint (optimized)
+    app.post("/minecraft-data", requireIngestAuth, validateMinecraftBody, (req, res) => {
+        try {
+            const started = performance.now();
+
+            const body = runHook('minecraftData', req.body, { worldId: req.worldId, req });
+            const invalid = body && body !== req.body ? validateMinecraftData(body) : null;
+            if (!body || invalid) {
+                if (invalid) Logger.error(`minecraftData hook returned an invalid payload: ${invalid.code} ${invalid.field}`);
+                return res.status(403).json({ success: false, code: 'PAYLOAD_REFUSED', error: 'Payload refused by the server' });
+            }
+
+            let room;
+            try {
+                room = stateManager.getRoom(req.worldId);
+            } catch (e) {
+                return res.status(400).json({ success: false, error: e.message });
+            }
+
+            // Clients get it on the next broadcast tick, not before we answer
+            const processed = ingestMinecraftData(room, body);
+            cluster.shareMinecraftData(room, body);
+            metrics.ingestDuration.observe({}, (performance.now() - started) / 1000);
+
+            res.json({
+                success: true,
+                worldId: room.id,
+                processed
+            });
+
+        } catch (e) {
+            Logger.error('Minecraft data processing error', { error: e });
+            res.status(500).json({ success: false, error: e.message });
+        }
+    });
+
+    // Pairing code endpoint (for addons that let the server generate codes)
+    app.post("/pairing-code", requireIngestAuth, (req, res) => {
+        // Without ingest keys anyone could ask for a code for any gamertag
+        if (!ingestAuth.isEnabled()) {
+            return res.status(403).json({ success: false, code: 'INGEST_KEYS_REQUIRED', error: '/pairing-code requires ingest keys (INGEST_KEY, INGEST_KEYS or INGEST_KEYS_FILE)' });
+        }
+
+        const invalid = validatePairingCodeRequest(req.body);
+        if (invalid) {
+            return res.status(400).json({ success: false, code: invalid.code, field: invalid.field, error: invalid.message });
+        }
+
+        const worldId = req.worldId;
+        const gamertag = req.body.gamertag;
+
+        const { code, expiresAt } = pairingManager.issueCode(worldId, gamertag);
+        Logger.info(`Pairing code issued for ${gamertag} in ${worldId}`);
+
+        res.json({ success: true, worldId, gamertag, code, expiresAt });
+    });
+
+    // Ask the configured verifier whether a gamertag exists
+    async function verifyGamertag(gamertag) {
+        try {
+            const result = await gamertagVerifier.verify(gamertag);
+            metrics.gamertagLookups.inc({ result: result.exists ? 'found' : 'not_found' });
+            return result;
+        } catch (error) {
+            metrics.gamertagLookups.inc({ result: 'error' });
+            throw error;
+        }
+    }
+
+    // Gamertag lookup (GAMERTAG_VERIFIER)
+    app.get("/gamertag/:tag", async (req, res) => {
+        if (!gamertagVerifier.isEnabled()) {
+            return res.status(503).json({ success: false, code: 'VERIFIER_DISABLED', error: 'Gamertag verification disabled (GAMERTAG_VERIFIER not set)' });
+        }
+
+        const invalid = validateGamertag(req.params.tag);
+        if (invalid) {
+            return res.status(400).json({ success: false, code: invalid.code, field: invalid.field, error: invalid.message });
+        }
+
+        try {
+            const { exists, cached } = await verifyGamertag(req.params.tag);
+            res.json({ gamertag: req.params.tag, exists, cached, verifier: CONFIG.GAMERTAG_VERIFIER });
+        } catch (e) {
+            Logger.warn(`Gamertag lookup failed for ${req.params.tag}: ${e.message}`);
+            res.status(502).json({ success: false, code: 'VERIFICATION_FAILED', error: 'Gamertag could not be verified' });
+        }
+    });
+
+    // Health check endpoint
+    app.get("/health", (req, res) => {
+        const stats = stateManager.getStats();
+        const mem = stats.memoryUsage;
+
+        const health = {
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            connections: {
+                total: stats.totalClients,
+                max: CONFIG.MAX_CONNECTIONS,
+                usage: `${Math.round((stats.totalClients / CONFIG.MAX_CONNECTIONS) * 100)}%`
+            },
+            memory: {
+                rss: `${Math.round(mem.rss / 1024 / 1024)}MB`,
+                heapUsed: `${Math.round(mem.heapUsed / 1024 / 1024)}MB`,
+                heapTotal: `${Math.round(mem.heapTotal / 1024 / 1024)}MB`
+            },
+            uptime: stats.uptime,
+            instance: {
+                id: CONFIG.INSTANCE_ID,
+                backend: CONFIG.STATE_BACKEND
+            },
+            rejections: stats.rejections,
+            states: {
+                ptt: stats.pttActive,
+                voice: stats.voiceActive
+            },
+            rooms: {
+                total: Object.keys(stats.rooms).length,
+                max: CONFIG.MAX_ROOMS,
+                worlds: stats.rooms
+            },
+            broadcast: broadcaster.getStats()
+        };
+
+        res.json(health);
+    });
+
+    // Prometheus scrape endpoint (Bearer METRICS_TOKEN when set)
+    app.get("/metrics", (req, res) => {
+        if (CONFIG.METRICS_TOKEN) {
+            const auth = req.get('Authorization');
+            if (!auth || !auth.startsWith('Bearer ') || !safeEqual(auth.slice(7), CONFIG.METRICS_TOKEN)) {
+                return res.status(401).json({ success: false, code: 'INVALID_METRICS_TOKEN', error: 'Metrics token required' });
+            }
+        }
+
+        res.set('Content-Type', METRICS_CONTENT_TYPE);
+        res.send(registry.render());
+    });
+
+    // Effective configuration, secrets masked. Admin only: it names server
+    // file paths and the gamertag allowlist
+    app.get("/config", requireAdmin, (req, res) => {
+        res.json({
+            file: configFile,
+            config: describeConfig(schema, CONFIG, configSources)
+        });
+    });
+
+    // Resolve the room addressed by ?world= on read-only endpoints
+    function getRequestedRoom(req, res) {
+        try {
+            const room = stateManager.rooms.get(stateManager.normalizeWorldId(req.query.world));
+            if (!room) {
+                res.status(404).json({ error: 'Unknown world' });
+                return null;
+            }
+            return room;
+        } catch (e) {
+            res.status(400).json({ error: e.message });
+            return null;
+        }
+    }
+
+    // PTT states endpoint
+    app.get("/ptt-states", (req, res) => {
+        const room = getRequestedRoom(req, res);
+        if (!room) return;
+
+        const states = Array.from(room.pttStates.entries()).map(([gamertag, state]) => ({
+            gamertag, ...state
+        }));
+        res.json({ worldId: room.id, pttStates: states });
+    });
+
+    // Voice states endpoint
+    app.get("/voice-states", (req, res) => {
+        const room = getRequestedRoom(req, res);
+        if (!room) return;
+
+        const states = Array.from(room.voiceStates.entries()).map(([gamertag, state]) => ({
+            gamertag, ...state
+        }));
+        res.json({ worldId: room.id, voiceStates: states });
+    });
+
+    // =====================================================
+    // ADMIN API (MODERATION)
+    // =====================================================
+
+    // Bearer ADMIN_TOKEN on every /admin route
+    function requireAdmin(req, res, next) {
+        if (!CONFIG.ADMIN_TOKEN) {
+            return res.status(503).json({ success: false, code: 'ADMIN_DISABLED', error: 'Admin API disabled (ADMIN_TOKEN not set)' });
+        }
+
+        const auth = req.get('Authorization');
+        if (!auth || !auth.startsWith('Bearer ')) {
+            return res.status(401).json({ success: false, code: 'MISSING_CREDENTIALS', error: 'Admin token required' });
+        }
+        if (!safeEqual(auth.slice(7), CONFIG.ADMIN_TOKEN)) {
+            Logger.warn(`Rejected admin request ${req.method} ${req.path}`, { ip: req.ip });
+            return res.status(403).json({ success: false, code: 'INVALID_ADMIN_TOKEN', error: 'Admin token not valid' });
+        }
+
+        req.actor = req.get('X-Admin-User') || 'admin';
+        next();
+    }
+
+    app.use('/admin', requireAdmin);
+
+    // Sockets of a gamertag (in one world or all of them)
+    function findSessions(gamertag, worldId = null) {
+        const result = [];
+        for (const [ws, clientData] of stateManager.clients.entries()) {
+            if (sameGamertag(clientData.gamertag, gamertag) && (!worldId || clientData.worldId === worldId)) {
+                result.push(ws);
+            }
+        }
+        return result;
+    }
+
+    // Disconnect a player's sessions and make sure they can't resume them
+    function evictPlayer(gamertag, worldId, code, closeCode, reason) {
+        const sessions = findSessions(gamertag, worldId);
+        for (const ws of sessions) {
+            disconnectClient(ws, code, closeCode, reason);
+        }
+        pairingManager.revokeSessionsFor(worldId, gamertag);
+        return sessions.length;
+    }
+
+    // Optional world of an admin request, null for every world; sends a 400
+    // and returns undefined when it isn't a valid world ID
+    function adminWorldId(value, field, res) {
+        if (value === undefined || value === null || value === '') return null;
+        try {
+            return stateManager.normalizeWorldId(value);
+        } catch (e) {
+            res.status(400).json({ success: false, code: e.code, field, error: e.message });
+            return undefined;
+        }
+    }
+
+    // List connected sessions
+    app.get("/admin/sessions", (req, res) => {
+        const world = adminWorldId(req.query.world, 'world', res);
+        if (world === undefined) return;
+
+        const sessions = [];
+        for (const [ws, clientData] of stateManager.clients.entries()) {
+            if (world && clientData.worldId !== world) continue;
+            sessions.push({
+                gamertag: clientData.gamertag,
+                worldId: clientData.worldId,
+                ip: clientData.ip,
+                protocol: ws.protocol || 'json',
+                joinedAt: new Date(clientData.joinedAt).toISOString(),
+                lastActivity: new Date(clientData.lastActivity).toISOString(),
+                messageCount: clientData.messageCount,
+                serverMuted: moderation.isMuted(clientData.worldId, clientData.gamertag)
+            });
+        }
+        res.json({ sessions });
+    });
+
+    // Kick a gamertag
+    app.post("/admin/kick", (req, res) => {
+        const { gamertag, reason = null } = req.body;
+        if (typeof gamertag !== 'string' || !gamertag) {
+            return res.status(400).json({ success: false, code: 'MISSING_FIELD', field: 'gamertag', error: 'gamertag is required' });
+        }
+        const worldId = adminWorldId(req.body.worldId, 'worldId', res);
+        if (worldId === undefined) return;
+
+        const kicked = evictPlayer(gamertag, worldId, 'KICKED', CLOSE_CODES.KICKED, reason ? `Kicked: ${reason}` : 'Kicked');
+        const entry = auditLog.append({ actor: req.actor, action: 'kick', target: gamertag, worldId, reason, details: { sessions: kicked } });
+
+        res.json({ success: true, kicked, audit: entry.id });
+    });
+
+    // Force-mute or unmute a gamertag in a world
+    app.post("/admin/mute", (req, res) => {
+        const { gamertag, reason = null } = req.body;
+        const muted = req.body.muted !== false;
+        if (typeof gamertag !== 'string' || !gamertag) {
+            return res.status(400).json({ success: false, code: 'MISSING_FIELD', field: 'gamertag', error: 'gamertag is required' });
+        }
+
+        let worldId;
+        try {
+            worldId = stateManager.normalizeWorldId(req.body.worldId);
+        } catch (e) {
+            return res.status(400).json({ success: false, code: e.code, field: 'worldId', error: e.message });
+        }
+
+        moderation.setMuted(worldId, gamertag, muted, { reason, actor: req.actor });
+
+        // Apply right away to a player in the world instead of waiting for the
+        // next state update; others get it from the record when they show up
+        const room = stateManager.rooms.get(worldId);
+        const name = room?.canonicalName(gamertag);
+        const present = Boolean(room) && (room.players.has(name) || room.getParticipants().includes(name));
+        if (present) {
+            const state = room.setPttState(name, { isTalking: false, isMuted: muted });
+            const voiceState = room.voiceStates.get(name);
+            if (voiceState) room.setVoiceState(name, voiceState);
+
+            broadcastToRoom(room, { type: 'ptt-update', gamertag: name, ...state });
+            if (sendToPlayer(room, name, { type: 'server-mute', muted, reason })) {
+                cluster.announcePtt(room, name);
+                notify('ptt', { worldId, gamertag: name, state });
+            }
+        }
+
+        const entry = auditLog.append({ actor: req.actor, action: muted ? 'mute' : 'unmute', target: gamertag, worldId, reason });
+        res.json({ success: true, gamertag, worldId, muted, present, audit: entry.id });
+    });
+
+    // Ban a gamertag and/or IP, optionally per world and with an expiry
+    app.post("/admin/bans", (req, res) => {
+        const { gamertag = null, ip = null, reason = null } = req.body;
+        if (!gamertag && !ip) {
+            return res.status(400).json({ success: false, code: 'MISSING_FIELD', field: 'gamertag', error: 'gamertag or ip is required' });
+        }
+        const worldId = adminWorldId(req.body.worldId, 'worldId', res);
+        if (worldId === undefined) return;
+
+        let expiresAt = null;
+        if (req.body.expiresIn !== undefined) {
+            const expiresIn = Number(req.body.expiresIn);
+            if (!Number.isFinite(expiresIn) || expiresIn <= 0) {
+                return res.status(400).json({ success: false, code: 'OUT_OF_RANGE', field: 'expiresIn', error: 'expiresIn must be a positive number of milliseconds' });
+            }
+            expiresAt = Date.now() + expiresIn;
+        }
+
+        const ban = moderation.ban({ gamertag, ip, worldId, reason, expiresAt, actor: req.actor });
+
+        // Drop whoever the ban matches right now
+        const message = reason ? `Banned: ${reason}` : 'Banned';
+        let disconnected = 0;
+        for (const [ws, clientData] of Array.from(stateManager.clients.entries())) {
+            if (worldId && clientData.worldId !== worldId) continue;
+            if ((gamertag && sameGamertag(clientData.gamertag, gamertag)) || (ip && clientData.ip === ip)) {
+                disconnectClient(ws, 'BANNED', CLOSE_CODES.BANNED, message);
+                pairingManager.revokeSessionsFor(clientData.worldId, clientData.gamertag);
+                disconnected++;
+            }
+        }
+
+        const entry = auditLog.append({
+            actor: req.actor,
+            action: 'ban',
+            target: gamertag || ip,
+            worldId,
+            reason,
+            details: { banId: ban.id, gamertag, ip, expiresAt, disconnected }
+        });
+
+        res.status(201).json({ success: true, ban, disconnected, audit: entry.id });
+    });
+
+    // List active bans
+    app.get("/admin/bans", (req, res) => {
+        res.json({ bans: moderation.listBans() });
+    });
+
+    // Lift a ban
+    app.delete("/admin/bans/:id", (req, res) => {
+        const ban = moderation.unban(Number(req.params.id));
+        if (!ban) {
+            return res.status(404).json({ success: false, code: 'NOT_FOUND', error: 'Unknown ban' });
+        }
+
+        const entry = auditLog.append({
+            actor: req.actor,
+            action: 'unban',
+            target: ban.gamertag || ban.ip,
+            worldId: ban.worldId,
+            details: { banId: ban.id }
+        });
+        res.json({ success: true, ban, audit: entry.id });
+    });
+
+    // Query the audit trail (newest first)
+    app.get("/admin/audit", (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 100, CONFIG.AUDIT_LOG_MAX_ENTRIES);
+        res.json({
+            entries: auditLog.query({
+                action: req.query.action,
+                target: req.query.target,
+                worldId: req.query.world,
+                since: req.query.since,
+                limit
+            })
+        });
+    });
+
+    // Body parser failures (malformed JSON, oversized payloads)
+    app.use((err, req, res, next) => {
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({ success: false, code: 'MALFORMED_BODY', field: null, error: 'Body is not valid JSON' });
+        }
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ success: false, code: 'PAYLOAD_TOO_LARGE', field: null, error: `Body exceeds ${CONFIG.BODY_LIMIT}` });
+        }
+        next(err);
+    });
+
+    // =====================================================
+    // WEBSOCKET SERVER (OPTIMIZED)
+    // =====================================================
+
+    // Not bound to a server; attach() routes upgrades to it
+    const wss = new WebSocketServer({
+        noServer: true,
+        maxPayload: CONFIG.MAX_MESSAGE_SIZE,
+        handleProtocols: selectProtocol,
+        perMessageDeflate: CONFIG.USE_COMPRESSION ? {
+            zlibDeflateOptions: {
+                chunkSize: 1024,
+                memLevel: 7,
+                level: 3
+            },
+            zlibInflateOptions: {
+                chunkSize: 10 * 1024
+            },
+            threshold: 1024
+        } : false
+    });
+
+    // WebSocket connection handler
+    wss.on("connection", (ws, req) => {
+        // Filled in with the session once joined
+        const logCtx = { conn: crypto.randomBytes(4).toString('hex') };
+        logContext.run(logCtx, () => handleConnection(ws, req, logCtx));
+    });
+
+    function handleConnection(ws, req, logCtx) {
+        const ip = getClientIp(req);
+        Logger.debug(`New connection attempt (${ws.protocol || 'json'})`, { ip });
+
+        // Everything sent to this client goes through its queue
+        const queue = new SendQueue(ws, CONFIG, { onStalled: bindContext(logCtx, () => dropSlowConsumer(ws, queue)) });
+        outbound.set(ws, queue);
+
+        // Globally banned addresses are turned away before anything else;
+        // world bans are checked when the client joins that world
+        const ipBan = moderation.findBan({ ip });
+        if (ipBan) {
+            Logger.warn('Rejected banned address', { ip });
+            disconnectClient(ws, 'BANNED', CLOSE_CODES.BANNED, ipBan.reason ? `Banned: ${ipBan.reason}` : 'Banned');
+            return;
+        }
+
+        // Encoding picked through Sec-WebSocket-Protocol (JSON by default)
+        const codec = getCodec(ws.protocol);
+
+        // Connection state
+        let isAlive = true;
+        let gamertag = null;
+        let room = null;
+
+        // Heartbeat
+        const pingInterval = setInterval(bindContext(logCtx, () => {
+            if (!isAlive) {
+                Logger.warn(`Terminating inactive connection: ${gamertag || 'unknown'}`);
+                clearInterval(pingInterval);
+                ws.terminate();
+                return;
+            }
+
+            isAlive = false;
+            ws.ping();
+            queue.check();
+        }), CONFIG.WS_PING_INTERVAL);
+
+        ws.on('pong', () => {
+            isAlive = true;
+        });
+
+        // Hand out fresh TURN credentials before the current ones expire
+        let iceRefreshTimer = null;
+        const scheduleIceRefresh = (expiresAt) => {
+            clearTimeout(iceRefreshTimer);
+            if (expiresAt === null) return;
+
+            const delay = Math.max(expiresAt - CONFIG.TURN_REFRESH_MARGIN - Date.now(), 1000);
+            iceRefreshTimer = setTimeout(bindContext(logCtx, () => {
+                if (!room || ws.readyState !== 1) return;
+                const ice = iceServers.issue(gamertag);
+                sendMessage(ws, { type: 'ice-servers', iceServers: ice.iceServers, expiresAt: ice.expiresAt });
+                Logger.debug('TURN credentials refreshed');
+                scheduleIceRefresh(ice.expiresAt);
+            }), delay);
+        };
+
+        // Messages that arrive while a join is being verified wait for it,
+        // so everything is still handled in order
+        let joining = null;
+        ws.on("message", bindContext(logCtx, (msg, isBinary) => {
+            if (joining) {
+                joining = joining.then(() => handleMessage(msg, isBinary));
+            } else {
+                handleMessage(msg, isBinary);
+            }
+        }));
+
+        function handleMessage(msg, isBinary) {
+            try {
+                // The session moved to a newer connection
+                if (stateManager.wasEvicted(ws)) {
+                    return;
+                }
+
+                // Audio frames have their own bandwidth budget instead of the message rate limit
+                if (isBinary && msg[0] === AUDIO_FRAME_MARKER) {
+                    relayAudio(ws, room, msg);
+                    return;
+                }
+
+                // Rate limiting
+                if (!stateManager.checkRateLimit(ws)) {
+                    Logger.sample('rate-limit', 'WARN', `Rate limit exceeded: ${gamertag || 'unknown'}`);
+                    metrics.rateLimited.inc();
+                    rejectMessage(ws, 'RATE_LIMITED', 'Rate limit exceeded');
+                    return;
+                }
+
+                stateManager.updateActivity(ws);
+
+                let data;
+                try {
+                    data = codec.decode(msg);
+                } catch (e) {
+                    rejectMessage(ws, 'MALFORMED_MESSAGE', `Could not decode message: ${e.message}`, { field: null });
+                    return;
+                }
+
+                metrics.messagesReceived.inc({ type: messageTypeLabel(data?.type) });
+
+                const invalid = validateMessage(data);
+                if (invalid) {
+                    Logger.sample('invalid-message', 'DEBUG', `Invalid ${data?.type || 'message'} from ${gamertag || 'unknown'}: ${invalid.code} ${invalid.field}`);
+                    rejectMessage(ws, invalid.code, invalid.message, { field: invalid.field, received: data?.type });
+                    return;
+                }
+
+                // Handle join
+                if (data.type === 'join') {
+                    if (gamertag) {
+                        rejectMessage(ws, 'ALREADY_JOINED', `Already joined as ${gamertag}`, { received: data.type });
+                        return;
+                    }
+
+                    data = filterMessage(ws, data, { gamertag: null, worldId: null });
+                    if (!data) return;
+
+                    handleJoin(data);
+                    return;
+                }
+
+                // Everything below is scoped to the joined world
+                if (!room) {
+                    rejectMessage(ws, 'NOT_JOINED', 'Send join before any other message', { received: data.type });
+                    return;
+                }
+
+                // Messages may only speak for the gamertag captured at join
+                const senderField = Object.hasOwn(SENDER_FIELDS, data.type) ? SENDER_FIELDS[data.type] : null;
+                if (senderField) {
+                    if (data[senderField] !== undefined && !sameGamertag(data[senderField], gamertag)) {
+                        Logger.sample('gamertag-mismatch', 'WARN', `Gamertag mismatch from ${gamertag}: ${data.type}.${senderField}=${data[senderField]}`);
+                        rejectMessage(ws, 'GAMERTAG_MISMATCH', `${senderField} does not match the session gamertag`, { field: senderField, received: data.type });
+                        return;
+                    }
+                    data[senderField] = gamertag;
+                }
+
+                data = filterMessage(ws, data, { gamertag, worldId: room.id });
+                if (!data) return;
+                if (senderField) data[senderField] = gamertag;
+
+                // Handle leave
+                if (data.type === 'leave') {
+                    clearTimeout(iceRefreshTimer);
+                    Logger.info(`${gamertag} left ${room.id}`);
+                    leaveWorld('leave');
+
+                    // The socket may join again
+                    room = null;
+                    gamertag = null;
+                    delete logCtx.session;
+                    delete logCtx.gamertag;
+                    delete logCtx.world;
+                    return;
+                }
+
+                // Handle voice detection
+                if (data.type === 'voice-detection') {
+                    const state = room.setVoiceState(data.gamertag, {
+                        isTalking: data.isTalking,
+                        volume: data.volume || 0
+                    });
+                    cluster.announceVoice(room, data.gamertag);
+                    notify('voice', { worldId: room.id, gamertag, state });
+                    return;
+                }
+
+                // Handle PTT status (a server mute wins over the client's own state)
+                if (data.type === 'ptt-status') {
+                    const state = room.setPttState(data.gamertag, {
+                        isTalking: data.isTalking,
+                        isMuted: data.isMuted,
+                        voiceMode: data.voiceMode
+                    });
+
+                    broadcastToRoom(room, {
+                        type: 'ptt-update',
+                        gamertag: data.gamertag,
+                        ...state
+                    });
+                    cluster.announcePtt(room, data.gamertag);
+                    notify('ptt', { worldId: room.id, gamertag, state });
+                    return;
+                }
+
+                // Handle WebRTC signaling (offer/answer/ice-candidate)
+                if (['offer', 'answer', 'ice-candidate'].includes(data.type)) {
+                    if (!data.to) {
+                        Logger.warn(`Invalid signaling message: missing to`);
+                        return;
+                    }
+
+                    // Peers are addressed by the room's spelling of their gamertag
+                    data.to = room.canonicalName(data.to);
+
+                    // Only pairs linked by the topology may signal each other
+                    if (!room.topology.isAuthorised(gamertag, data.to)) {
+                        Logger.sample('signal-denied', 'WARN', `Unauthorised ${data.type}: ${gamertag} → ${data.to}`);
+                        rejectMessage(ws, 'SIGNALING_NOT_AUTHORISED', 'Signaling not authorised', { to: data.to, received: data.type });
+                        return;
+                    }
+
+                    // Signaling never crosses worlds
+                    const targetWs = room.findClient(data.to);
+                    let relayed = true;
+
+                    if (targetWs && targetWs.readyState === 1) {
+                        sendMessage(targetWs, data);
+                        metrics.signalingRelayed.inc({ type: data.type });
+                        Logger.sample(`signal:${data.type}`, 'DEBUG', `Relayed ${data.type} ${gamertag} → ${data.to}`, {
+                            sdp: data.sdp ?? data.offer?.sdp ?? data.answer?.sdp,
+                            candidate: data.candidate?.candidate
+                        });
+                    } else if (room.remoteClients.has(data.to)) {
+                        // Delivered by the instance holding the target's socket
+                        cluster.relaySignal(room, data);
+                        metrics.signalingRelayed.inc({ type: data.type });
+                    } else {
+                        Logger.sample('signal-dropped', 'DEBUG', `Dropped ${data.type} ${gamertag} → ${data.to}: target not connected`);
+                        metrics.signalingFailed.inc({ type: data.type });
+                        relayed = false;
+                    }
+                    notify('signal', { worldId: room.id, type: data.type, from: gamertag, to: data.to, relayed, message: data });
+                    return;
+                }
+
+                // Handle heartbeat
+                if (data.type === 'heartbeat') {
+                    return;
+                }
+
+                // Handle request-keyframe (client missed a sequence number)
+                if (data.type === 'request-keyframe') {
+                    stateManager.clients.get(ws).view.reset();
+                    sendMinecraftUpdate(room, ws);
+                    return;
+                }
+
+                // Handle relay-mode (opt in to sending/receiving audio through the server)
+                if (data.type === 'relay-mode') {
+                    if (!CONFIG.AUDIO_RELAY) {
+                        rejectMessage(ws, 'RELAY_DISABLED', 'Audio relay is not enabled on this server', { received: data.type });
+                        return;
+                    }
+                    stateManager.clients.get(ws).relay = data.enabled;
+                    Logger.info(`${gamertag} ${data.enabled ? 'enabled' : 'disabled'} audio relay`);
+                    sendMessage(ws, { type: 'relay-mode', enabled: data.enabled });
+                    return;
+                }
+
+                // Handle request-participants
+                if (data.type === 'request-participants') {
+                    sendMessage(ws, {
+                        type: 'participants-list',
+                        worldId: room.id,
+                        list: room.getParticipants()
+                    });
+                    return;
+                }
+
+                // Every type with a schema is handled above
+                Logger.warn(`Unhandled message type: ${data.type}`);
+
+            } catch (e) {
+                Logger.error(`Message processing error for ${gamertag || 'unknown'}`, { error: e });
+            }
+        }
+
+        // Add the client to its world and bring it up to date
+        function completeJoin(data) {
+            try {
+                const worldId = stateManager.normalizeWorldId(data.worldId);
+                const authMethod = pairingManager.authenticate(worldId, data.gamertag, data, ip);
+
+                // A valid session token for a connected gamertag takes over the old socket
+                const staleWs = authMethod === 'session'
+                    ? stateManager.rooms.get(worldId)?.findClient(data.gamertag) ?? null
+                    : null;
+
+                room = staleWs
+                    ? stateManager.resumeClient(staleWs, ws, ip)
+                    : stateManager.addClient(ws, data.gamertag, worldId, ip);
+                gamertag = stateManager.clients.get(ws).gamertag; // the room's spelling
+                pairingManager.consume(room.id, gamertag, data);
+                Object.assign(logCtx, {
+                    session: stateManager.clients.get(ws).sessionId,
+                    gamertag,
+                    world: room.id
+                });
+
+                if (staleWs) {
+                    Logger.success(`${gamertag} resumed session in ${room.id}`);
+                } else {
+                    Logger.success(`${gamertag} joined ${room.id} via ${authMethod} (${room.clients.size} in world, ${stateManager.clients.size} total)`);
+                }
+
+                // Token for reconnecting without a new pairing code
+                const session = pairingManager.issueSession(room.id, gamertag);
+                sendMessage(ws, {
+                    type: 'session',
+                    worldId: room.id,
+                    gamertag,
+                    token: session.token,
+                    expiresAt: session.expiresAt,
+                    resumed: Boolean(staleWs),
+                    audioRelay: CONFIG.AUDIO_RELAY
+                });
+
+                if (moderation.isMuted(room.id, gamertag)) {
+                    sendMessage(ws, { type: 'server-mute', muted: true });
+                }
+
+                // Filters named by the `filter` of each audio mix entry
+                sendMessage(ws, { type: 'filter-presets', presets: filterPresets.describe() });
+
+                // Send participants list to new client, with the ICE servers to reach them
+                const ice = iceServers.issue(gamertag);
+                sendMessage(ws, {
+                    type: 'participants-list',
+                    worldId: room.id,
+                    list: room.getParticipants(),
+                    iceServers: ice.iceServers,
+                    iceExpiresAt: ice.expiresAt
+                });
+                scheduleIceRefresh(ice.expiresAt);
+
+                // Send current minecraft data of the world if available
+                sendMinecraftUpdate(room, ws);
+
+                if (staleWs) {
+                    disconnectClient(staleWs, 'SESSION_RESUMED', CLOSE_CODES.SESSION_RESUMED, 'Session resumed from another connection');
+
+                    // Peers keep their links and re-negotiate them
+                    for (const peer of room.topology.getPeers(gamertag)) {
+                        sendMessage(ws, { type: 'connect-peer', peer, initiator: gamertag < peer });
+                    }
+
+                    broadcastToRoom(room, {
+                        type: 'rejoin',
+                        gamertag
+                    }, ws);
+                    notify('join', { worldId: room.id, gamertag, session: logCtx.session, resumed: true });
+                    return;
+                }
+
+                // Broadcast join to others
+                broadcastToRoom(room, {
+                    type: 'join',
+                    gamertag
+                }, ws);
+
+                // Broadcast updated list to all
+                broadcastToRoom(room, {
+                    type: 'participants-list',
+                    worldId: room.id,
+                    list: room.getParticipants()
+                });
+
+                applyTopologyChanges(room, room.updateTopology());
+                cluster.announceJoin(room, gamertag);
+                notify('join', { worldId: room.id, gamertag, session: logCtx.session, resumed: false });
+
+            } catch (e) {
+                failJoin(data, e);
+            }
+        }
+
+        function failJoin(data, e) {
+            Logger.error(`Join failed: ${data.gamertag}`, { error: e });
+            room = null;
+            if (e instanceof ProtocolError) {
+                stateManager.countRejection(e.code);
+            }
+            sendMessage(ws, {
+                type: 'error',
+                code: e.code || 'JOIN_FAILED',
+                message: e.message
+            });
+            ws.close(e.code === 'BANNED' ? CLOSE_CODES.BANNED : 1008, e.message);
+        }
+
+        // Join once the gamertag checks out (GAMERTAG_VERIFIER)
+        function handleJoin(data) {
+            // Resumed sessions were verified when they started
+            if (data.sessionToken !== undefined || !gamertagVerifier.isEnabled()) {
+                completeJoin(data);
+                return;
+            }
+
+            joining = verifyGamertag(data.gamertag)
+                .then(({ exists }) => exists, (error) => {
+                    // A lookup service that is down doesn't lock everyone out
+                    Logger.warn(`Could not verify ${data.gamertag}, letting the join through: ${error.message}`);
+                    return true;
+                })
+                .then((exists) => {
+                    if (ws.readyState !== 1) return; // gone while we were checking
+                    if (exists) {
+                        completeJoin(data);
+                    } else {
+                        failJoin(data, new ProtocolError('UNKNOWN_GAMERTAG', 'Gamertag does not exist'));
+                    }
+                })
+                .finally(() => {
+                    joining = null;
+                });
+        }
+
+        // Connection close handler
+        ws.on('close', bindContext(logCtx, () => {
+            clearInterval(pingInterval);
+            clearTimeout(iceRefreshTimer);
+
+            // A resumed session lives on in another socket
+            if (stateManager.wasEvicted(ws)) {
+                Logger.debug(`Stale connection of ${gamertag} closed`);
+                return;
+            }
+
+            if (gamertag && room) {
+                Logger.info(`${gamertag} disconnected from ${room.id} (${room.clients.size - 1} remaining)`);
+                leaveWorld('disconnect');
+            }
+        }));
+
+        // Take the client out of its world and tell the others, the same way
+        // whether it sent `leave` or disconnected
+        function leaveWorld(reason) {
+            stateManager.removeClient(ws);
+            cluster.announceLeave(room, gamertag);
+
+            broadcastToRoom(room, {
+                type: 'leave',
+                gamertag
+            }, ws);
+
+            broadcastToRoom(room, {
+                type: 'participants-list',
+                worldId: room.id,
+                list: room.getParticipants()
+            });
+
+            applyTopologyChanges(room, room.updateTopology());
+            notify('leave', { worldId: room.id, gamertag, session: logCtx.session, reason });
+        }
+
+        // Error handler
+        ws.on('error', bindContext(logCtx, (error) => {
+            Logger.error(`WebSocket error for ${gamertag || 'unknown'}`, { error });
+        }));
+    }
+
+
+    // Tell a client why it is being dropped, then close it
+    function disconnectClient(ws, code, closeCode, reason) {
+        if (ws.readyState === 1) {
+            sendMessage(ws, { type: 'error', code, message: reason });
+        }
+        ws.close(closeCode, reason.slice(0, 120));
+    }
+
+    // Tell embedders what happened; a failing listener must not break the server
+    function notify(event, payload) {
+        try {
+            voice.emit(event, payload);
+        } catch (error) {
+            Logger.error(`${event} listener failed`, { error });
+        }
+    }
+
+    // Run one of options.hooks; null when it refused the payload (or threw)
+    function runHook(name, payload, context) {
+        if (!hooks[name]) return payload;
+        try {
+            const result = hooks[name](payload, context);
+            return result === undefined ? payload : result || null;
+        } catch (error) {
+            Logger.error(`${name} hook failed`, { error });
+            return null;
+        }
+    }
+
+    // Pass a client message through hooks.message; null (and the client told) when refused
+    function filterMessage(ws, data, context) {
+        const result = runHook('message', data, { ...context, ws });
+        const invalid = result && (result.type !== data.type || validateMessage(result));
+        if (invalid) {
+            Logger.error(`message hook returned an invalid ${data.type}`);
+        }
+        if (!result || invalid) {
+            rejectMessage(ws, 'MESSAGE_REFUSED', 'Message refused by the server', { received: data.type });
+            return null;
+        }
+        return result;
+    }
+
+    // Refuse a client message with a machine-readable code
+    function rejectMessage(ws, code, message, extra = {}) {
+        stateManager.countRejection(code);
+        metrics.messagesDropped.inc({ type: messageTypeLabel(extra.received), reason: code });
+        if (ws.readyState === 1) {
+            sendMessage(ws, { type: 'error', code, message, ...extra });
+        }
+    }
+
+    // Send a message in the encoding the client negotiated (queued while the client is behind)
+    function sendMessage(ws, message) {
+        return outbound.get(ws).send(getCodec(ws.protocol).encode(message));
+    }
+
+    // Give up on a client whose messages pile up faster than it reads them
+    function dropSlowConsumer(ws, queue) {
+        metrics.slowConsumers.inc();
+        Logger.warn('Disconnecting slow consumer', queue.getStats());
+        ws.close(CLOSE_CODES.SLOW_CONSUMER, 'Too slow to keep up');
+
+        // The close frame waits behind the backlog; don't let it hold the socket
+        setTimeout(() => ws.terminate(), CONFIG.SLOW_CONSUMER_CLOSE_TIMEOUT).unref();
+    }
+
+    // Encode a broadcast once per encoding in use
+    function encodeCached(cache, ws, message) {
+        const codec = getCodec(ws.protocol);
+        let encoded = cache.get(codec);
+        if (encoded === undefined) {
+            encoded = codec.encode(message);
+            cache.set(codec, encoded);
+        }
+        return encoded;
+    }
+
+    // Broadcast helpers
+    function broadcastToRoom(room, message, excludeWs = null) {
+        const cache = new Map();
+        let sentCount = 0;
+        for (const client of room.clients.keys()) {
+            if (client !== excludeWs && client.readyState === 1) {
+                try {
+                    outbound.get(client).send(encodeCached(cache, client, message));
+                    sentCount++;
+                } catch (e) {
+                    Logger.error('Broadcast failed', { error: e });
+                }
+            }
+        }
+        return sentCount;
+    }
+
+    // Send a message to one participant of a room
+    function sendToPlayer(room, gamertag, message) {
+        const client = room.findClient(gamertag);
+        if (client && client.readyState === 1) {
+            try {
+                sendMessage(client, message);
+                return true;
+            } catch (e) {
+                Logger.error('Failed to send to client', { error: e });
+            }
+        }
+        return false;
+    }
+
+    // Tell both ends of every changed pair what to do; the lower gamertag offers
+    function applyTopologyChanges(room, { connect, disconnect }) {
+        for (const [a, b] of disconnect) {
+            sendToPlayer(room, a, { type: 'disconnect-peer', peer: b });
+            sendToPlayer(room, b, { type: 'disconnect-peer', peer: a });
+        }
+
+        for (const [a, b] of connect) {
+            sendToPlayer(room, a, { type: 'connect-peer', peer: b, initiator: true });
+            sendToPlayer(room, b, { type: 'connect-peer', peer: a, initiator: false });
+        }
+
+        if (connect.length || disconnect.length) {
+            Logger.debug(`Topology ${room.id}: +${connect.length} -${disconnect.length} links`);
+        }
+    }
+
+    // Send one client what changed in its proximity-scoped view; false unless it went out right away
+    function sendMinecraftUpdate(room, client) {
+        const clientData = room.clients.get(client);
+        if (!room.minecraftData || !clientData || client.readyState !== 1) {
+            return false;
+        }
+
+        // Built when it can leave, so a client that is behind skips straight to
+        // the newest state and its deltas stay in sequence
+        const result = outbound.get(client).sendLatest('minecraft-update', () => {
+            if (room.clients.get(client) !== clientData) return null;
+            try {
+                const message = clientData.view.encode(room.buildUpdate(clientData.gamertag));
+                return message ? getCodec(client.protocol).encode(message) : null;
+            } catch (e) {
+                Logger.error('Failed to build update', { error: e });
+                return null;
+            }
+        });
+
+        if (result === 'coalesced') {
+            metrics.updatesCoalesced.inc();
+        }
+        return result === 'sent';
+    }
+
+    // Apply a /minecraft-data payload (local or from another instance) and queue
+    // the world for the next broadcast tick; returns the players processed
+    function ingestMinecraftData(room, body) {
+        const processed = room.applyMinecraftData(body);
+
+        // Pick up the pairing codes the addon shows its players, then drop them
+        // from the stored players so no client ever receives someone else's code
+        for (const [name, player] of room.players) {
+            if (player.data?.pairingCode === undefined) continue;
+
+            const { pairingCode: code, ...data } = player.data;
+            if (typeof code === 'string' && code) {
+                pairingManager.registerCode(room.id, player.name, code);
+            }
+            room.players.set(name, { ...player, data });
+        }
+
+        if (broadcaster.markDirty(room, { processed })) {
+            metrics.postsMerged.inc();
+        }
+        return processed;
+    }
+
+    // One tick's fan-out of a world: its latest state, then the peer mesh changes
+    function broadcastWorld(room, { processed }) {
+        // Dropped by cleanup since its last post
+        if (stateManager.rooms.get(room.id) !== room) return 0;
+
+        // Each client only gets the players within hearing range
+        const sentCount = sendProximityUpdates(room);
+
+        applyTopologyChanges(room, room.updateTopology());
+
+        metrics.fanout.observe({}, sentCount);
+        notify('minecraft-update', { worldId: room.id, data: room.minecraftData, processed, sent: sentCount });
+        return sentCount;
+    }
+
+    // Spend a sender's audio byte budget (token bucket refilled at AUDIO_RELAY_MAX_BITRATE, 1s burst)
+    function takeAudioBudget(clientData, bytes) {
+        const now = Date.now();
+        const rate = CONFIG.AUDIO_RELAY_MAX_BITRATE / 8;
+        const budget = clientData.audioBudget || { tokens: rate, refilledAt: now };
+
+        budget.tokens = Math.min(rate, budget.tokens + (now - budget.refilledAt) / 1000 * rate);
+        budget.refilledAt = now;
+        clientData.audioBudget = budget;
+
+        if (budget.tokens < bytes) return false;
+        budget.tokens -= bytes;
+        return true;
+    }
+
+    // Forward an audio frame to the relay listeners within hearing range.
+    // In: [0xC1][audio]. Out: [0xC1][sender length][sender UTF-8][audio].
+    function relayAudio(ws, room, frame) {
+        const clientData = stateManager.clients.get(ws);
+        let reason = null;
+
+        if (!CONFIG.AUDIO_RELAY || !room || !clientData?.relay) {
+            reason = 'not_enabled';
+        } else if (frame.length - 1 > CONFIG.AUDIO_RELAY_MAX_FRAME) {
+            reason = 'too_large';
+        } else if (moderation.isMuted(room.id, clientData.gamertag)) {
+            reason = 'muted';
+        } else if (!takeAudioBudget(clientData, frame.length)) {
+            reason = 'bandwidth';
+        }
+
+        if (reason) {
+            metrics.audioFrames.inc({ result: reason });
+            Logger.sample(`audio-dropped:${reason}`, 'DEBUG', `Dropped audio frame from ${clientData?.gamertag || 'unknown'}: ${reason}`);
+            return;
+        }
+
+        clientData.lastActivity = Date.now();
+        if (!clientData.audioHeader) {
+            const name = Buffer.from(clientData.gamertag, 'utf8');
+            clientData.audioHeader = Buffer.concat([Buffer.from([AUDIO_FRAME_MARKER, name.length]), name]);
+        }
+        const out = Buffer.concat([clientData.audioHeader, frame.subarray(1)]);
+
+        for (const name of room.getListeners(clientData.gamertag)) {
+            if (name === clientData.gamertag) continue;
+
+            const target = room.findClient(name);
+            if (!target || target.readyState !== 1 || !room.clients.get(target).relay) continue;
+
+            // A listener that can't keep up loses frames instead of growing its buffer
+            if (outbound.get(target).backlog() > CONFIG.AUDIO_RELAY_MAX_BUFFERED) {
+                metrics.audioFrames.inc({ result: 'backpressure' });
+                continue;
+            }
+
+            target.send(out, { binary: true, compress: false });
+            metrics.audioFrames.inc({ result: 'forwarded' });
+            metrics.audioBytes.inc({}, out.length);
+        }
+    }
+
+    // Send every client of a room its own proximity-scoped update
+    function sendProximityUpdates(room) {
+        let sentCount = 0;
+        for (const client of room.clients.keys()) {
+            if (sendMinecraftUpdate(room, client)) {
+                sentCount++;
+            }
+        }
+        return sentCount;
+    }
+
+    function broadcastToAll(message) {
+        const cache = new Map();
+        wss.clients.forEach(client => {
+            if (client.readyState === 1) {
+                try {
+                    outbound.get(client).send(encodeCached(cache, client, message));
+                } catch (e) {
+                    Logger.error('Broadcast failed', { error: e });
+                }
+            }
+        });
+    }
+
+    // =====================================================
+    // LIFECYCLE
+    // =====================================================
+
+    const timers = [];
+    const attached = [];
+    let started = null;
+    let closing = null;
+    let httpServer = null;
+
+    // Join the cluster and start the background tasks; resolves once ready
+    function start() {
+        if (!started) {
+            started = cluster.start().then(() => {
+                eventLoopDelay.enable();
+                ingestAuth.watch();
+                broadcaster.start();
+
+                // Periodic cleanup
+                timers.push(setInterval(() => {
+                    stateManager.cleanup();
+                    pairingManager.cleanup(Date.now());
+                    ingestAuth.cleanup(Date.now());
+                    moderation.cleanup(Date.now());
+                }, CONFIG.CLEANUP_INTERVAL));
+
+                // Memory garbage collection hint (Node.js will decide)
+                if (global.gc) {
+                    timers.push(setInterval(() => {
+                        global.gc();
+                        Logger.debug('GC triggered');
+                    }, CONFIG.GC_INTERVAL));
+                }
+
+                if (!ingestAuth.isEnabled()) {
+                    Logger.warn('No ingest keys configured: /minecraft-data accepts unauthenticated posts and /pairing-code is disabled');
+                }
+            });
+        }
+        return started;
+    }
+
+    // Accept WebSocket upgrades from an HTTP server. With `path`, other
+    // upgrade requests are left to the server's other listeners.
+    function attach(server, { path: upgradePath = null } = {}) {
+        const onUpgrade = (req, socket, head) => {
+            if (upgradePath && req.url.split('?')[0] !== upgradePath) return;
+            wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+        };
+        server.on('upgrade', onUpgrade);
+        attached.push([server, onUpgrade]);
+        return voice;
+    }
+
+    // Standalone mode: start, then serve the app and WebSocket on its own HTTP server
+    async function listen(port = CONFIG.PORT, host) {
+        await start();
+        httpServer = http.createServer(app);
+        attach(httpServer);
+        await new Promise((resolve, reject) => {
+            httpServer.once('error', reject);
+            httpServer.listen(port, host, resolve);
+        });
+        return httpServer;
+    }
+
+    // Re-read env vars and CONFIG_FILE; only reloadable keys take effect.
+    // Throws ConfigError (keeping the current values) when the new config is invalid.
+    function reload() {
+        const { applied, restartRequired, sources } = reloadConfig(CONFIG, schema, configOptions);
+        for (const key of applied) {
+            configSources[key] = sources[key];
+        }
+        configureLogger();
+        if (applied.some(key => key.startsWith('GAMERTAG_'))) {
+            gamertagVerifier.clear();
+        }
+        if (applied.includes('BROADCAST_TICK_RATE')) {
+            broadcaster.reschedule();
+        }
+        if (applied.includes('FILTER_PRESETS')) {
+            broadcastToAll({ type: 'filter-presets', presets: filterPresets.describe() });
+        }
+
+        Logger.info(`Configuration reloaded: ${applied.length ? applied.join(', ') : 'no changes'}`);
+        if (restartRequired.length) {
+            Logger.warn(`Restart required to apply: ${restartRequired.join(', ')}`);
+        }
+        return { applied, restartRequired };
+    }
+
+    // Say goodbye to every client, leave the cluster and stop all timers.
+    // Sockets still open after `timeout` ms are terminated.
+    function close({ timeout = 5000 } = {}) {
+        if (!closing) {
+            closing = (async () => {
+                for (const timer of timers.splice(0)) {
+                    clearInterval(timer);
+                }
+                broadcaster.stop();
+                ingestAuth.unwatch();
+                eventLoopDelay.disable();
+                for (const [server, onUpgrade] of attached.splice(0)) {
+                    server.off('upgrade', onUpgrade);
+                }
+
+                // Stop accepting new connections
+                const serverClosed = httpServer
+                    ? new Promise(resolve => httpServer.close(resolve))
+                    : Promise.resolve();
+
+                // Close all WebSocket connections
+                broadcastToAll({ type: 'server-shutdown' });
+                const sockets = Array.from(wss.clients);
+                for (const client of sockets) {
+                    client.close(1001, 'Server shutting down');
+                }
+
+                let timer;
+                await Promise.race([
+                    Promise.all(sockets.map(client => client.readyState === 3 ? null : new Promise(resolve => client.once('close', resolve)))),
+                    new Promise(resolve => { timer = setTimeout(resolve, timeout); })
+                ]);
+                clearTimeout(timer);
+                for (const client of sockets) {
+                    if (client.readyState !== 3) client.terminate();
+                }
+
+                // The leaves above have been published by now
+                if (started) {
+                    await started.then(() => cluster.stop(), () => {})
+                        .catch(error => Logger.error('Failed to leave the cluster', { error }));
+                }
+
+                await new Promise(resolve => wss.close(resolve));
+                await serverClosed;
+                Logger.success('Server closed');
+            })();
+        }
+        return closing;
+    }
+
+    return Object.assign(voice, {
+        app,
+        wss,
+        config: CONFIG,
+        configFile,
+        start,
+        attach,
+        listen,
+        reload,
+        close
+    });
+}
+
+module.exports = {
+    createEnviroVoiceServer,
+    CONFIG_SCHEMA,
+    validateConfig
+};
@@ -0,0 +1,128 @@
+// Environment filter presets (FILTER_PRESETS).
+//
+// Each preset names a filter descriptor and the player state it applies to:
+//   { "<name>": { when: { isInCave: true, dimension: [...] }, priority,
+//                 lowpassHz, reverbMix, echoDelayMs, muffling } }
+// `when` keys are player data flags (isInCave, isUnderWater, isInMountain,
+// isBuried...) or `dimension`; an array value matches any of its items.
+// When several presets match, the highest priority wins, then the one with
+// more conditions, then the one listed first. A listener/speaker pair gets
+// whichever of their two presets wins; 'none' (no filter) when neither matches.
+
+const NO_FILTER = 'none';
+
+const DESCRIPTOR_FIELDS = {
+    lowpassHz: value => value === null || (Number.isFinite(value) && value >= 10 && value <= 24000) ? null : 'must be null or a number from 10 to 24000',
+    reverbMix: value => Number.isFinite(value) && value >= 0 && value <= 1 ? null : 'must be a number from 0 to 1',
+    echoDelayMs: value => Number.isFinite(value) && value >= 0 && value <= 5000 ? null : 'must be a number from 0 to 5000',
+    muffling: value => Number.isFinite(value) && value >= 0 && value <= 1 ? null : 'must be a number from 0 to 1'
+};
+
+const DEFAULT_FILTER_PRESETS = {
+    underwater: { when: { isUnderWater: true }, priority: 40, lowpassHz: 600, reverbMix: 0.3, echoDelayMs: 0, muffling: 0.7 },
+    buried: { when: { isBuried: true }, priority: 30, lowpassHz: 400, reverbMix: 0, echoDelayMs: 0, muffling: 0.8 },
+    cave: { when: { isInCave: true }, priority: 20, lowpassHz: 4000, reverbMix: 0.5, echoDelayMs: 120, muffling: 0.1 },
+    mountain: { when: { isInMountain: true }, priority: 10, lowpassHz: null, reverbMix: 0.2, echoDelayMs: 300, muffling: 0 },
+    nether: { when: { dimension: 'minecraft:nether' }, priority: 5, lowpassHz: 8000, reverbMix: 0.35, echoDelayMs: 0, muffling: 0.1 },
+    end: { when: { dimension: 'minecraft:the_end' }, priority: 5, lowpassHz: null, reverbMix: 0.6, echoDelayMs: 250, muffling: 0 }
+};
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Problems with a FILTER_PRESETS value (config validation)
+function validateFilterPresets(presets) {
+    const errors = [];
+    for (const [name, preset] of Object.entries(presets)) {
+        const field = `FILTER_PRESETS.${name}`;
+        if (name === NO_FILTER) {
+            errors.push(`${field}: "${NO_FILTER}" is reserved for no filter`);
+            continue;
+        }
+        if (!isPlainObject(preset)) {
+            errors.push(`${field} must be an object`);
+            continue;
+        }
+        if (!isPlainObject(preset.when) || Object.keys(preset.when).length === 0) {
+            errors.push(`${field}.when must be an object with at least one condition`);
+        }
+        if (preset.priority !== undefined && !Number.isFinite(preset.priority)) {
+            errors.push(`${field}.priority must be a number`);
+        }
+        for (const [key, check] of Object.entries(DESCRIPTOR_FIELDS)) {
+            const problem = preset[key] === undefined ? 'is required' : check(preset[key]);
+            if (problem) errors.push(`${field}.${key} ${problem}`);
+        }
+        const unknown = Object.keys(preset).find(key => key !== 'when' && key !== 'priority' && !DESCRIPTOR_FIELDS[key]);
+        if (unknown) errors.push(`${field}.${unknown} unknown setting`);
+    }
+    return errors;
+}
+
+// Player state the `when` conditions look at
+function playerState(player) {
+    return { ...player?.data, dimension: player?.dimension };
+}
+
+function matches(when, state) {
+    return Object.entries(when).every(([key, expected]) =>
+        Array.isArray(expected) ? expected.includes(state[key]) : state[key] === expected);
+}
+
+class FilterPresets {
+    constructor(config) {
+        this.config = config;
+        this.source = null;
+        this.presets = [];
+    }
+
+    // Ranked presets, rebuilt when a reload replaces FILTER_PRESETS
+    ranked() {
+        if (this.source !== this.config.FILTER_PRESETS) {
+            this.source = this.config.FILTER_PRESETS;
+            this.presets = Object.entries(this.source)
+                .map(([name, preset], index) => ({
+                    name,
+                    when: preset.when,
+                    priority: preset.priority || 0,
+                    conditions: Object.keys(preset.when).length,
+                    index
+                }))
+                .sort((a, b) => b.priority - a.priority || b.conditions - a.conditions || a.index - b.index);
+        }
+        return this.presets;
+    }
+
+    // Preset a listener hears a speaker through (both /minecraft-data players)
+    select(listener, speaker) {
+        const listenerState = playerState(listener);
+        const speakerState = playerState(speaker);
+        for (const preset of this.ranked()) {
+            if (matches(preset.when, listenerState) || matches(preset.when, speakerState)) {
+                return preset.name;
+            }
+        }
+        return NO_FILTER;
+    }
+
+    // Descriptors sent to clients, by preset name
+    describe() {
+        const descriptors = {};
+        for (const [name, preset] of Object.entries(this.config.FILTER_PRESETS)) {
+            const descriptor = {};
+            for (const key of Object.keys(DESCRIPTOR_FIELDS)) {
+                descriptor[key] = preset[key];
+            }
+            descriptors[name] = descriptor;
+        }
+        return descriptors;
+    }
+}
+
+module.exports = {
+    NO_FILTER,
+    DEFAULT_FILTER_PRESETS,
+    validateFilterPresets,
+    FilterPresets
+};
@@ -0,0 +1,179 @@
+// Gamertag names and verification.
+//
+// Xbox gamertags ignore case and surrounding/repeated whitespace, so two
+// spellings name the same player when their gamertagKey() is equal.
+//
+// Verifier backends (GAMERTAG_VERIFIER) expose one method:
+//   lookup(gamertag) → Promise<boolean>   rejects when it can't tell
+// GamertagVerifier wraps a backend with an LRU cache of the answers.
+
+const axios = require("axios");
+
+// =====================================================
+// NORMALIZATION
+// =====================================================
+
+// Display form: trimmed, inner whitespace collapsed to single spaces
+function cleanGamertag(gamertag) {
+    return String(gamertag).trim().replace(/\s+/g, ' ');
+}
+
+// Comparison key
+function gamertagKey(gamertag) {
+    return cleanGamertag(gamertag).toLowerCase();
+}
+
+function sameGamertag(a, b) {
+    return a != null && b != null && gamertagKey(a) === gamertagKey(b);
+}
+
+// =====================================================
+// LRU CACHE
+// =====================================================
+
+// Map iteration order doubles as recency order
+class LruCache {
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (Date.now() > entry.expiresAt) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key, value, ttl) {
+        if (this.maxEntries === 0 || ttl <= 0) return;
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+// =====================================================
+// BACKENDS
+// =====================================================
+
+// Fetch a lookup page (GAMERTAG_LOOKUP_URL, {gamertag} replaced) and look for
+// text only the page of an existing gamertag has. A 404 means no such gamertag.
+class HttpScrapeVerifier {
+    constructor(config) {
+        this.config = config;
+    }
+
+    async lookup(gamertag) {
+        const url = this.config.GAMERTAG_LOOKUP_URL.replace('{gamertag}', encodeURIComponent(gamertag));
+        const response = await axios.get(url, {
+            timeout: this.config.GAMERTAG_LOOKUP_TIMEOUT,
+            responseType: 'text',
+            validateStatus: status => (status >= 200 && status < 300) || status === 404
+        });
+        if (response.status === 404) return false;
+        return String(response.data).includes(this.config.GAMERTAG_LOOKUP_MATCH);
+    }
+}
+
+// Only the gamertags in GAMERTAG_ALLOWLIST exist
+class AllowlistVerifier {
+    constructor(config) {
+        this.config = config;
+        this.list = null;
+        this.keys = new Set();
+    }
+
+    async lookup(gamertag) {
+        // Rebuilt when a reload replaces the list
+        if (this.list !== this.config.GAMERTAG_ALLOWLIST) {
+            this.list = this.config.GAMERTAG_ALLOWLIST;
+            this.keys = new Set(this.list.map(gamertagKey));
+        }
+        return this.keys.has(gamertagKey(gamertag));
+    }
+}
+
+// =====================================================
+// CACHED VERIFIER
+// =====================================================
+
+class GamertagVerifier {
+    constructor(backend, config) {
+        this.backend = backend;
+        this.config = config;
+        this.cache = new LruCache(config.GAMERTAG_CACHE_SIZE);
+        this.inFlight = new Map();
+    }
+
+    isEnabled() {
+        return this.backend !== null;
+    }
+
+    // Resolves to { exists, cached }; rejects when the backend failed (errors aren't cached)
+    verify(gamertag) {
+        const key = gamertagKey(gamertag);
+        const cached = this.cache.get(key);
+        if (cached !== undefined) {
+            return Promise.resolve({ exists: cached, cached: true });
+        }
+
+        // Concurrent joins of one gamertag share a lookup
+        let pending = this.inFlight.get(key);
+        if (!pending) {
+            pending = this.backend.lookup(cleanGamertag(gamertag))
+                .then((exists) => {
+                    this.cache.set(key, exists, this.config.GAMERTAG_CACHE_TTL);
+                    return { exists, cached: false };
+                })
+                .finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, pending);
+        }
+        return pending;
+    }
+
+    // Drop remembered answers (after the backend settings changed)
+    clear() {
+        this.cache.clear();
+    }
+}
+
+// Verifier for GAMERTAG_VERIFIER ('disabled' | 'http' | 'allowlist')
+function createGamertagVerifier(config) {
+    switch (config.GAMERTAG_VERIFIER) {
+        case 'disabled':
+            return new GamertagVerifier(null, config);
+        case 'http':
+            return new GamertagVerifier(new HttpScrapeVerifier(config), config);
+        case 'allowlist':
+            return new GamertagVerifier(new AllowlistVerifier(config), config);
+        default:
+            throw new Error(`Unknown gamertag verifier: ${config.GAMERTAG_VERIFIER}`);
+    }
+}
+
+module.exports = {
+    cleanGamertag,
+    gamertagKey,
+    sameGamertag,
+    LruCache,
+    HttpScrapeVerifier,
+    AllowlistVerifier,
+    GamertagVerifier,
+    createGamertagVerifier
+};
@@ -0,0 +1,43 @@
+// ICE servers handed to WebRTC clients.
+
+const crypto = require("crypto");
+
+// =====================================================
+// ICE SERVERS (STUN / TURN CREDENTIALS)
+// =====================================================
+
+// Time-limited TURN credentials per the TURN REST API draft:
+// username "<expiry unix seconds>:<gamertag>", credential
+// base64(HMAC-SHA1(secret, username)). The TURN server only needs the secret.
+class IceServerProvider {
+    constructor(config) {
+        this.config = config;
+    }
+
+    isTurnEnabled() {
+        return Boolean(this.config.TURN_SECRET) && this.config.TURN_URLS.length > 0;
+    }
+
+    // RTCConfiguration.iceServers for one client; expiresAt is null without TURN
+    issue(gamertag) {
+        const iceServers = [];
+        if (this.config.STUN_URLS.length > 0) {
+            iceServers.push({ urls: this.config.STUN_URLS });
+        }
+
+        if (!this.isTurnEnabled()) {
+            return { iceServers, expiresAt: null };
+        }
+
+        const expiresAt = Date.now() + this.config.TURN_CREDENTIAL_TTL;
+        const username = `${Math.floor(expiresAt / 1000)}:${gamertag}`;
+        const credential = crypto.createHmac('sha1', this.config.TURN_SECRET).update(username).digest('base64');
+        iceServers.push({ urls: this.config.TURN_URLS, username, credential });
+
+        return { iceServers, expiresAt };
+    }
+}
+
+module.exports = {
+    IceServerProvider
+};
@@ -3,10 +3,12 @@
 
 const WebSocket = require('ws');
 const http = require('http');
+const { jsonCodec, msgpackCodec } = require('./codec');
 
 const CONFIG = {
     SERVER_URL: 'ws://localhost:3000',
     HTTP_URL: 'http://localhost:3000',
+    INGEST_KEY: process.env.INGEST_KEY || null, // sent as X-Api-Key when the server requires it
 
     // Test scenarios
     SCENARIOS: {
@@ -16,6 +18,12 @@ const CONFIG = {
         STRESS: { servers: 5, playersPerServer: 50 }, // 250 connections (over limit)
     },
 
+    // Wire encodings (selected with the second CLI argument)
+    ENCODINGS: {
+        json: jsonCodec,
+        msgpack: msgpackCodec,
+    },
+
     // Test duration
     TEST_DURATION: 60000, // 1 minute
     RAMP_UP_TIME: 10000, // 10s to connect all clients
@@ -26,13 +34,16 @@ const CONFIG = {
 // =====================================================
 
 class LoadTester {
-    constructor(scenario) {
+    constructor(scenario, encoding = 'json') {
         this.scenario = scenario;
+        this.encoding = encoding;
+        this.codec = CONFIG.ENCODINGS[encoding];
         this.connections = [];
         this.stats = {
             connected: 0,
             failed: 0,
             messages: { sent: 0, received: 0 },
+            bytes: { sent: 0, received: 0 },
             errors: 0,
             startTime: null,
             endTime: null
@@ -42,15 +53,19 @@ class LoadTester {
     // Create a single WebSocket client
     createClient(serverId, playerId) {
         return new Promise((resolve, reject) => {
+            const worldId = `world-${serverId}`;
             const gamertag = `Server${serverId}_Player${playerId}`;
-            const ws = new WebSocket(CONFIG.SERVER_URL);
+            const pairingCode = this.getPairingCode(serverId, playerId);
+            const ws = new WebSocket(CONFIG.SERVER_URL, this.codec.protocol);
 
             ws.on('open', () => {
                 // Send join message
-                ws.send(JSON.stringify({
+                this.send(ws, {
                     type: 'join',
-                    gamertag
-                }));
+                    worldId,
+                    gamertag,
+                    pairingCode
+                });
 
                 this.stats.connected++;
                 console.log(`✓ ${gamertag} connected (${this.stats.connected}/${this.getTargetConnections()})`);
@@ -59,18 +74,24 @@ class LoadTester {
                 const activityInterval = setInterval(() => {
                     if (ws.readyState === 1) {
                         // Simulate voice detection
-                        ws.send(JSON.stringify({
+                        this.send(ws, {
                             type: 'voice-detection',
                             gamertag,
                             isTalking: Math.random() > 0.7,
                             volume: Math.random() * 100 - 100
-                        }));
+                        });
                         this.stats.messages.sent++;
                     }
                 }, 2000 + Math.random() * 3000); // Random interval 2-5s
 
-                ws.on('message', () => {
+                ws.on('message', (msg) => {
                     this.stats.messages.received++;
+                    this.stats.bytes.received += msg.length;
+                    try {
+                        this.codec.decode(msg);
+                    } catch (error) {
+                        this.stats.errors++;
+                    }
                 });
 
                 ws.on('error', (error) => {
@@ -99,6 +120,42 @@ class LoadTester {
         });
     }
 
+    // Encode and send a message with the selected wire encoding
+    send(ws, message) {
+        const encoded = this.codec.encode(message);
+        this.stats.bytes.sent += Buffer.byteLength(encoded);
+        ws.send(encoded);
+    }
+
+    // Deterministic pairing code per simulated player
+    getPairingCode(serverId, playerId) {
+        return String(serverId * 1000 + playerId).padStart(6, '0');
+    }
+
+    // Post each world's players like the addon does, so their pairing codes are known
+    async registerPlayers() {
+        for (let serverId = 1; serverId <= this.scenario.servers; serverId++) {
+            const players = [];
+            for (let playerId = 1; playerId <= this.scenario.playersPerServer; playerId++) {
+                players.push({
+                    name: `Server${serverId}_Player${playerId}`,
+                    location: { x: Math.random() * 200, y: 64, z: Math.random() * 200 },
+                    data: {
+                        isMuted: false,
+                        isTalking: false,
+                        pairingCode: this.getPairingCode(serverId, playerId)
+                    }
+                });
+            }
+
+            try {
+                await this.httpPost(CONFIG.HTTP_URL + '/minecraft-data', { worldId: `world-${serverId}`, players });
+            } catch (error) {
+                console.error(`❌ Failed to register players of world-${serverId}:`, error.message);
+            }
+        }
+    }
+
     // Get target connection count
     getTargetConnections() {
         return this.scenario.servers * this.scenario.playersPerServer;
@@ -137,6 +194,7 @@ class LoadTester {
             console.log(`\n━━━ SERVER HEALTH ━━━`);
             console.log(`Status: ${health.status}`);
             console.log(`Connections: ${health.connections.total}/${health.connections.max} (${health.connections.usage})`);
+            console.log(`Worlds: ${health.rooms.total}/${health.rooms.max}`);
             console.log(`Memory RSS: ${health.memory.rss}`);
             console.log(`Memory Heap: ${health.memory.heapUsed}/${health.memory.heapTotal}`);
             console.log(`Uptime: ${health.uptime}s\n`);
@@ -159,6 +217,27 @@ class LoadTester {
         });
     }
 
+    // HTTP POST helper (JSON body)
+    httpPost(url, body) {
+        return new Promise((resolve, reject) => {
+            const payload = JSON.stringify(body);
+            const req = http.request(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(payload),
+                    ...(CONFIG.INGEST_KEY ? { 'X-Api-Key': CONFIG.INGEST_KEY } : {})
+                }
+            }, (res) => {
+                let data = '';
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => resolve(data));
+            });
+            req.on('error', reject);
+            req.end(payload);
+        });
+    }
+
     // Run the load test
     async run() {
         console.log(`\n╔════════════════════════════════════════╗`);
@@ -167,12 +246,14 @@ class LoadTester {
         console.log(`║ Servers:          ${this.scenario.servers.toString().padEnd(19)} ║`);
         console.log(`║ Players/Server:   ${this.scenario.playersPerServer.toString().padEnd(19)} ║`);
         console.log(`║ Total Connections: ${this.getTargetConnections().toString().padEnd(18)} ║`);
+        console.log(`║ Encoding:         ${this.encoding.padEnd(19)} ║`);
         console.log(`║ Test Duration:    ${(CONFIG.TEST_DURATION / 1000).toString().padEnd(12)}s      ║`);
         console.log(`╚════════════════════════════════════════╝\n`);
 
         this.stats.startTime = Date.now();
 
-        // Phase 1: Connect clients
+        // Phase 1: Register players and connect clients
+        await this.registerPlayers();
         await this.connectClients();
 
         // Phase 2: Check initial health
@@ -222,6 +303,8 @@ class LoadTester {
         console.log(`║ Errors:           ${this.stats.errors.toString().padEnd(19)} ║`);
         console.log(`║ Messages Sent:    ${this.stats.messages.sent.toString().padEnd(19)} ║`);
         console.log(`║ Messages Received: ${this.stats.messages.received.toString().padEnd(18)} ║`);
+        console.log(`║ KB Sent:          ${Math.round(this.stats.bytes.sent / 1024).toString().padEnd(19)} ║`);
+        console.log(`║ KB Received:      ${Math.round(this.stats.bytes.received / 1024).toString().padEnd(19)} ║`);
         console.log(`║ Avg Rate:         ${Math.round(this.stats.messages.sent / duration).toString().padEnd(12)} msg/s  ║`);
         console.log(`╚════════════════════════════════════════╝\n`);
 
@@ -251,15 +334,15 @@ class LoadTester {
 // RUN TESTS
 // =====================================================
 
-async function runAllTests() {
-    console.log(`\n🚀 EnviroVoice Load Testing Suite\n`);
+async function runAllTests(encoding) {
+    console.log(`\n🚀 EnviroVoice Load Testing Suite (${encoding})\n`);
 
     for (const [name, scenario] of Object.entries(CONFIG.SCENARIOS)) {
         console.log(`\n${'='.repeat(50)}`);
         console.log(`TEST: ${name}`);
         console.log(`${'='.repeat(50)}\n`);
 
-        const tester = new LoadTester(scenario);
+        const tester = new LoadTester(scenario, encoding);
         await tester.run();
 
         console.log(`\nWaiting 10s before next test...\n`);
@@ -271,7 +354,7 @@ async function runAllTests() {
 }
 
 // Run single test
-async function runSingleTest(scenarioName) {
+async function runSingleTest(scenarioName, encoding) {
     const scenario = CONFIG.SCENARIOS[scenarioName.toUpperCase()];
 
     if (!scenario) {
@@ -280,15 +363,23 @@ async function runSingleTest(scenarioName) {
         process.exit(1);
     }
 
-    const tester = new LoadTester(scenario);
+    const tester = new LoadTester(scenario, encoding);
     await tester.run();
     process.exit(0);
 }
 
-// Main
+// Main: node load-test.js [scenario|all] [json|msgpack]
 const args = process.argv.slice(2);
-if (args.length === 0) {
-    runAllTests();
+const encoding = (args[1] || 'json').toLowerCase();
+
+if (!CONFIG.ENCODINGS[encoding]) {
+    console.error(`❌ Unknown encoding: ${encoding}`);
+    console.log(`Available: ${Object.keys(CONFIG.ENCODINGS).join(', ')}`);
+    process.exit(1);
+}
+
+if (args.length === 0 || args[0].toLowerCase() === 'all') {
+    runAllTests(encoding);
 } else {
-    runSingleTest(args[0]);
+    runSingleTest(args[0], encoding);
 }
@@ -0,0 +1,179 @@
+// Structured logger: one JSON object per line (or a readable line in a TTY),
+// with a level threshold, per-key sampling, field redaction and the
+// connection/request context attached automatically.
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = {
+    DEBUG: 10,
+    INFO: 20,
+    SUCCESS: 20,
+    WARN: 30,
+    ERROR: 40
+};
+
+const PREFIXES = {
+    'INFO': 'ℹ️',
+    'WARN': '⚠️',
+    'ERROR': '❌',
+    'SUCCESS': '✅',
+    'DEBUG': '🔍'
+};
+
+// Meta fields hidden by each LOG_REDACT category
+const REDACTIONS = {
+    ip: ['ip'],
+    sdp: ['sdp', 'candidate']
+};
+
+// Context of the connection or request being handled ({ conn, session, gamertag, world } / { req })
+const logContext = new AsyncLocalStorage();
+
+// Shared by the whole process (the last Logger.configure() wins)
+const settings = {
+    level: LEVELS.INFO,
+    format: process.stdout.isTTY ? 'pretty' : 'json',
+    redact: new Set(),
+    sampleWindow: 10000,
+    sampleLimit: 10
+};
+
+// key → { windowStart, count, suppressed }
+const samples = new Map();
+
+// =====================================================
+// FORMATTING
+// =====================================================
+
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        stack: error.stack
+    };
+}
+
+function redactValue(key, value) {
+    if (value === null || value === undefined) return value;
+    if (key === 'ip') {
+        // Stable per address so one client can still be followed
+        return 'ip-' + crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 12);
+    }
+    return `[redacted ${String(value).length} chars]`;
+}
+
+function prepareMeta(meta) {
+    const result = {};
+    for (const [key, value] of Object.entries(meta)) {
+        if (value === undefined) continue;
+        result[key] = key === 'error' ? serializeError(value) : value;
+    }
+
+    for (const category of settings.redact) {
+        for (const key of REDACTIONS[category]) {
+            if (key in result) result[key] = redactValue(key, result[key]);
+        }
+    }
+    return result;
+}
+
+function formatPretty(entry) {
+    const { ts, level, msg, error, ...fields } = entry;
+    const extras = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+
+    let line = `[${ts}] ${PREFIXES[level] || '•'} ${msg}`;
+    if (extras) line += `  ${extras}`;
+    if (error) line += `\n    ${error.stack || error.message || error}`;
+    return line;
+}
+
+// =====================================================
+// LOGGER
+// =====================================================
+
+class Logger {
+    // Apply LOG_* settings ({ level, format, redact: ['ip', 'sdp'], sampleWindow, sampleLimit })
+    static configure(options = {}) {
+        if (options.level !== undefined) {
+            const level = LEVELS[String(options.level).toUpperCase()];
+            if (level === undefined) {
+                throw new Error(`Unknown log level: ${options.level}`);
+            }
+            settings.level = level;
+        }
+        if (options.format !== undefined) {
+            if (!['json', 'pretty'].includes(options.format)) {
+                throw new Error(`Unknown log format: ${options.format}`);
+            }
+            settings.format = options.format;
+        }
+        if (options.redact !== undefined) {
+            for (const category of options.redact) {
+                if (!REDACTIONS[category]) {
+                    throw new Error(`Unknown redaction: ${category}`);
+                }
+            }
+            settings.redact = new Set(options.redact);
+        }
+        if (options.sampleWindow !== undefined) settings.sampleWindow = options.sampleWindow;
+        if (options.sampleLimit !== undefined) settings.sampleLimit = options.sampleLimit;
+    }
+
+    static isEnabled(level) {
+        return LEVELS[level] >= settings.level;
+    }
+
+    static log(level, message, meta = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const entry = {
+            ts: new Date().toISOString(),
+            level,
+            msg: message,
+            ...logContext.getStore(),
+            ...prepareMeta(meta)
+        };
+
+        const line = settings.format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+        (LEVELS[level] >= LEVELS.WARN ? process.stderr : process.stdout).write(line + '\n');
+    }
+
+    // Log at most sampleLimit entries per key and window; the next one
+    // logged after a quiet spell reports how many were dropped
+    static sample(key, level, message, meta = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const now = Date.now();
+        let state = samples.get(key);
+        if (!state || now - state.windowStart >= settings.sampleWindow) {
+            const suppressed = state ? state.suppressed : 0;
+            state = { windowStart: now, count: 0, suppressed: 0 };
+            samples.set(key, state);
+            if (suppressed > 0) meta = { ...meta, suppressed };
+        }
+
+        if (state.count >= settings.sampleLimit) {
+            state.suppressed++;
+            return;
+        }
+        state.count++;
+        this.log(level, message, meta);
+    }
+
+    static info(msg, meta) { this.log('INFO', msg, meta); }
+    static warn(msg, meta) { this.log('WARN', msg, meta); }
+    static error(msg, meta) { this.log('ERROR', msg, meta); }
+    static success(msg, meta) { this.log('SUCCESS', msg, meta); }
+    static debug(msg, meta) { this.log('DEBUG', msg, meta); }
+}
+
+module.exports = {
+    Logger,
+    logContext,
+    LEVELS
+};
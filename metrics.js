@@ -0,0 +1,170 @@
+// Minimal metrics registry rendered in the Prometheus text exposition format.
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return '{' + entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Stable key for a label set, in declared label order
+function labelKey(labelNames, labels) {
+    return labelNames.map(name => labels[name] ?? '').join('\u0000');
+}
+
+// =====================================================
+// METRIC TYPES
+// =====================================================
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    pick(labels) {
+        const picked = {};
+        for (const name of this.labelNames) {
+            picked[name] = labels[name] ?? '';
+        }
+        return picked;
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    render() {
+        const lines = this.header();
+        for (const { labels, value } of this.values.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        const entry = this.values.get(key);
+        if (entry) {
+            entry.value += value;
+        } else {
+            this.values.set(key, { labels: this.pick(labels), value });
+        }
+    }
+}
+
+// Gauges may be filled at scrape time by a collect callback
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.values.set(labelKey(this.labelNames, labels), { labels: this.pick(labels), value });
+    }
+
+    render() {
+        if (this.collect) {
+            this.values.clear();
+            this.collect(this);
+        }
+        return super.render();
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets, labelNames) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = labelKey(this.labelNames, labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = { labels: this.pick(labels), counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+            this.values.set(key, entry);
+        }
+
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) entry.counts[i]++;
+        }
+        entry.sum += value;
+        entry.count++;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((le, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+// =====================================================
+// REGISTRY
+// =====================================================
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = [], collect = null) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, buckets, labelNames = []) {
+        return this.register(new Histogram(name, help, buckets, labelNames));
+    }
+
+    render() {
+        return this.metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    Registry,
+    Counter,
+    Gauge,
+    Histogram,
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
@@ -0,0 +1,182 @@
+// Moderation state (bans, server mutes) and the audit trail of admin actions.
+
+const fs = require("fs");
+const { Logger } = require("./logger");
+const { gamertagKey, sameGamertag } = require("./gamertags");
+
+// =====================================================
+// MODERATION (BANS, SERVER MUTES, AUDIT TRAIL)
+// =====================================================
+
+// Admin actions, kept in memory for queries and appended to AUDIT_LOG_FILE
+class AuditLog {
+    constructor(config) {
+        this.config = config;
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    // Reload the most recent entries from the log file
+    load() {
+        if (!this.config.AUDIT_LOG_FILE || !fs.existsSync(this.config.AUDIT_LOG_FILE)) return;
+
+        try {
+            const lines = fs.readFileSync(this.config.AUDIT_LOG_FILE, 'utf8').split('\n').filter(Boolean);
+            this.entries = lines.slice(-this.config.AUDIT_LOG_MAX_ENTRIES).map(line => JSON.parse(line));
+            this.nextId = this.entries.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+        } catch (e) {
+            Logger.error('Failed to load audit log', { error: e });
+        }
+    }
+
+    append(entry) {
+        const record = { id: this.nextId++, timestamp: new Date().toISOString(), ...entry };
+
+        this.entries.push(record);
+        if (this.entries.length > this.config.AUDIT_LOG_MAX_ENTRIES) {
+            this.entries.shift();
+        }
+
+        if (this.config.AUDIT_LOG_FILE) {
+            fs.appendFile(this.config.AUDIT_LOG_FILE, JSON.stringify(record) + '\n', (error) => {
+                if (error) Logger.error('Failed to write audit log', { error });
+            });
+        }
+
+        Logger.info(`Audit: ${record.actor} ${record.action} ${record.target || ''}`.trim());
+        return record;
+    }
+
+    // Newest first
+    query({ action, target, worldId, since, limit = 100 } = {}) {
+        const result = [];
+        for (let i = this.entries.length - 1; i >= 0 && result.length < limit; i--) {
+            const entry = this.entries[i];
+            if (action && entry.action !== action) continue;
+            if (target && entry.target !== target) continue;
+            if (worldId && entry.worldId !== worldId) continue;
+            if (since && entry.timestamp < since) continue;
+            result.push(entry);
+        }
+        return result;
+    }
+}
+
+// Bans by gamertag or IP (optionally per world, optionally expiring) and server mutes
+class ModerationManager {
+    constructor(config) {
+        this.config = config;
+        this.bans = new Map();
+        this.mutes = new Map();
+        this.nextBanId = 1;
+    }
+
+    muteKey(worldId, gamertag) {
+        return `${worldId}:${gamertagKey(gamertag)}`;
+    }
+
+    load() {
+        if (!this.config.MODERATION_FILE || !fs.existsSync(this.config.MODERATION_FILE)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.config.MODERATION_FILE, 'utf8'));
+            for (const ban of saved.bans || []) {
+                this.bans.set(ban.id, ban);
+                this.nextBanId = Math.max(this.nextBanId, ban.id + 1);
+            }
+            for (const mute of saved.mutes || []) {
+                this.mutes.set(this.muteKey(mute.worldId, mute.gamertag), mute);
+            }
+        } catch (e) {
+            Logger.error('Failed to load moderation state', { error: e });
+        }
+    }
+
+    save() {
+        if (!this.config.MODERATION_FILE) return;
+
+        const state = JSON.stringify({
+            bans: Array.from(this.bans.values()),
+            mutes: Array.from(this.mutes.values())
+        }, null, 2);
+        fs.writeFile(this.config.MODERATION_FILE, state, (error) => {
+            if (error) Logger.error('Failed to save moderation state', { error });
+        });
+    }
+
+    ban({ gamertag = null, ip = null, worldId = null, reason = null, expiresAt = null, actor }) {
+        const ban = {
+            id: this.nextBanId++,
+            gamertag,
+            ip,
+            worldId,
+            reason,
+            createdAt: Date.now(),
+            createdBy: actor,
+            expiresAt
+        };
+        this.bans.set(ban.id, ban);
+        this.save();
+        return ban;
+    }
+
+    unban(id) {
+        const ban = this.bans.get(id);
+        if (ban) {
+            this.bans.delete(id);
+            this.save();
+        }
+        return ban || null;
+    }
+
+    isActive(ban, now = Date.now()) {
+        return ban.expiresAt === null || now < ban.expiresAt;
+    }
+
+    // First active ban matching a player or address. World bans only match
+    // their own world; without a worldId only global bans are checked.
+    findBan({ gamertag = null, ip = null, worldId = null }) {
+        for (const ban of this.bans.values()) {
+            if (!this.isActive(ban)) continue;
+            if (ban.worldId && ban.worldId !== worldId) continue;
+            if ((ban.gamertag && sameGamertag(ban.gamertag, gamertag)) || (ban.ip && ban.ip === ip)) {
+                return ban;
+            }
+        }
+        return null;
+    }
+
+    listBans() {
+        return Array.from(this.bans.values()).filter(ban => this.isActive(ban));
+    }
+
+    setMuted(worldId, gamertag, muted, { reason = null, actor } = {}) {
+        const key = this.muteKey(worldId, gamertag);
+        if (muted) {
+            this.mutes.set(key, { worldId, gamertag, reason, createdAt: Date.now(), createdBy: actor });
+        } else {
+            this.mutes.delete(key);
+        }
+        this.save();
+    }
+
+    isMuted(worldId, gamertag) {
+        return this.mutes.has(this.muteKey(worldId, gamertag));
+    }
+
+    cleanup(now) {
+        let changed = false;
+        for (const [id, ban] of this.bans.entries()) {
+            if (!this.isActive(ban, now)) {
+                this.bans.delete(id);
+                changed = true;
+            }
+        }
+        if (changed) this.save();
+    }
+}
+
+module.exports = {
+    AuditLog,
+    ModerationManager
+};
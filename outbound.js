@@ -0,0 +1,138 @@
+// Per-client outbound queues (backpressure).
+//
+// Messages go straight to the socket while its buffer is below SEND_HIGH_WATER;
+// beyond that they wait here, in order, and leave as the socket drains. Nothing
+// is dropped, except "latest wins" messages (minecraft-update): those are built
+// only when they can leave, so a congested client gets the newest one instead of
+// every one it missed. A client that stays congested is given up on instead.
+
+// Size of an encoded message (JSON strings or binary)
+function byteLength(data) {
+    return typeof data === 'string' ? Buffer.byteLength(data) : data.length;
+}
+
+class SendQueue {
+    // onStalled(queue) is called once when the client should be disconnected
+    constructor(ws, config, { onStalled }) {
+        this.ws = ws;
+        this.config = config;
+        this.onStalled = onStalled;
+        this.items = []; // { data, bytes } or { slot }
+        this.slots = new Map(); // slot → produce()
+        this.queuedBytes = 0;
+        this.congestedSince = null;
+        this.stalled = false;
+        this.onWritten = () => this.flush();
+    }
+
+    // Bytes waiting for this client: in the socket and here
+    backlog() {
+        return this.ws.bufferedAmount + this.queuedBytes;
+    }
+
+    canWrite() {
+        return this.items.length === 0 && this.ws.bufferedAmount < this.config.SEND_HIGH_WATER;
+    }
+
+    write(data) {
+        this.ws.send(data, this.onWritten);
+    }
+
+    // Send or queue a message; false when the socket is not open
+    send(data) {
+        if (this.ws.readyState !== 1 || this.stalled) return false;
+
+        if (this.canWrite()) {
+            this.write(data);
+        } else {
+            const bytes = byteLength(data);
+            this.items.push({ data, bytes });
+            this.queuedBytes += bytes;
+        }
+        this.check();
+        return true;
+    }
+
+    // Latest-wins message; produce() returns the encoded message, or null when
+    // there is nothing to send. Returns 'sent', 'queued', 'coalesced' (replaced
+    // a queued one), 'empty' or 'closed'.
+    sendLatest(slot, produce) {
+        if (this.ws.readyState !== 1 || this.stalled) return 'closed';
+
+        if (this.canWrite()) {
+            const data = produce();
+            if (!data) return 'empty';
+            this.write(data);
+            this.check();
+            return 'sent';
+        }
+
+        const coalesced = this.slots.has(slot);
+        if (!coalesced) this.items.push({ slot });
+        this.slots.set(slot, produce);
+        this.check();
+        return coalesced ? 'coalesced' : 'queued';
+    }
+
+    // Move queued messages to the socket while it has room (after every write)
+    flush() {
+        let progressed = false;
+        while (this.items.length && this.ws.readyState === 1 && this.ws.bufferedAmount < this.config.SEND_HIGH_WATER) {
+            const item = this.items.shift();
+            let data;
+            if (item.slot) {
+                data = this.slots.get(item.slot)();
+                this.slots.delete(item.slot);
+            } else {
+                data = item.data;
+                this.queuedBytes -= item.bytes;
+            }
+            if (data) this.write(data);
+            progressed = true;
+        }
+
+        // A client that keeps draining is busy, not stuck
+        if (progressed) this.congestedSince = null;
+        this.check();
+    }
+
+    // Track how long the client has been over the mark without draining and give
+    // up on it when that lasts SLOW_CONSUMER_TIMEOUT or the backlog passes SEND_QUEUE_MAX
+    check(now = Date.now()) {
+        if (this.stalled || this.ws.readyState !== 1) return;
+
+        const backlog = this.backlog();
+        if (backlog < this.config.SEND_HIGH_WATER && this.items.length === 0) {
+            this.congestedSince = null;
+            return;
+        }
+        if (this.congestedSince === null) {
+            this.congestedSince = now;
+        }
+
+        if (backlog > this.config.SEND_QUEUE_MAX || now - this.congestedSince > this.config.SLOW_CONSUMER_TIMEOUT) {
+            this.stalled = true;
+            this.onStalled(this);
+            this.clear();
+        }
+    }
+
+    clear() {
+        this.items = [];
+        this.slots.clear();
+        this.queuedBytes = 0;
+    }
+
+    getStats() {
+        return {
+            queued: this.items.length,
+            queuedBytes: this.queuedBytes,
+            buffered: this.ws.bufferedAmount,
+            congestedFor: this.congestedSince === null ? 0 : Date.now() - this.congestedSince
+        };
+    }
+}
+
+module.exports = {
+    SendQueue
+};
@@ -0,0 +1,37 @@
+// Wire-level constants and the error type shared by the server modules.
+
+// Application close codes (4000-4999)
+const CLOSE_CODES = {
+    SESSION_RESUMED: 4000,
+    KICKED: 4001,
+    BANNED: 4003,
+    SLOW_CONSUMER: 4008
+};
+
+// First byte of a relayed audio frame; never starts a valid MessagePack value
+const AUDIO_FRAME_MARKER = 0xC1;
+
+// Payload field that names the sender, per message type
+const SENDER_FIELDS = {
+    'voice-detection': 'gamertag',
+    'ptt-status': 'gamertag',
+    'offer': 'from',
+    'answer': 'from',
+    'ice-candidate': 'from'
+};
+
+// Client-facing error with a machine-readable code
+class ProtocolError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+    }
+}
+
+module.exports = {
+    CLOSE_CODES,
+    AUDIO_FRAME_MARKER,
+    SENDER_FIELDS,
+    ProtocolError
+};
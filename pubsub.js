@@ -0,0 +1,351 @@
+// State and messaging backends shared by server instances.
+//
+// Every adapter exposes the same promise-based interface:
+//   connect() / close()
+//   publish(channel, message)        message is any JSON value
+//   subscribe(channel, handler)      handler(message) for every publish
+//   hset(key, field, value) / hdel(key, field) / hgetall(key) → { field: value }
+// and emits 'error' for connection problems it recovers from on its own.
+//
+// MemoryAdapter keeps everything in process (adapters only see each other
+// when built on the same MemoryHub); RedisAdapter speaks RESP to a
+// Redis-compatible server.
+
+const net = require("net");
+const { EventEmitter } = require("events");
+
+// =====================================================
+// IN-MEMORY
+// =====================================================
+
+class MemoryHub {
+    constructor() {
+        this.channels = new Map();
+        this.hashes = new Map();
+    }
+}
+
+class MemoryAdapter extends EventEmitter {
+    constructor(hub = new MemoryHub()) {
+        super();
+        this.hub = hub;
+        this.handlers = [];
+    }
+
+    async connect() {}
+
+    async close() {
+        for (const [channel, handler] of this.handlers) {
+            this.hub.channels.get(channel)?.delete(handler);
+        }
+        this.handlers = [];
+    }
+
+    // Delivered asynchronously, like a network round trip
+    async publish(channel, message) {
+        const payload = JSON.stringify(message);
+        for (const handler of this.hub.channels.get(channel) || []) {
+            setImmediate(() => handler(JSON.parse(payload)));
+        }
+    }
+
+    async subscribe(channel, handler) {
+        if (!this.hub.channels.has(channel)) {
+            this.hub.channels.set(channel, new Set());
+        }
+        this.hub.channels.get(channel).add(handler);
+        this.handlers.push([channel, handler]);
+    }
+
+    async hset(key, field, value) {
+        if (!this.hub.hashes.has(key)) {
+            this.hub.hashes.set(key, new Map());
+        }
+        this.hub.hashes.get(key).set(field, JSON.stringify(value));
+    }
+
+    async hdel(key, field) {
+        this.hub.hashes.get(key)?.delete(field);
+    }
+
+    async hgetall(key) {
+        const result = {};
+        for (const [field, value] of this.hub.hashes.get(key) || []) {
+            result[field] = JSON.parse(value);
+        }
+        return result;
+    }
+}
+
+// =====================================================
+// RESP (REDIS PROTOCOL)
+// =====================================================
+
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const str = String(arg);
+        out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+    }
+    return out;
+}
+
+// Parse one reply at offset; null when the buffer doesn't hold all of it yet
+function parseReply(buf, offset) {
+    const lineEnd = buf.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buf[offset]);
+    const line = buf.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: Number(line), offset: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buf.length < next + length + 2) return null;
+            return { value: buf.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, offset: next };
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buf, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error(`Unexpected RESP type byte: ${type}`);
+    }
+}
+
+// One TCP connection; replies are matched to commands in order. Emits
+// 'message' (channel, payload) for pub/sub pushes, 'ready' after every
+// (re)connect and 'error' when the link drops.
+class RespConnection extends EventEmitter {
+    constructor({ host, port, password = null, db = 0, commandTimeout = 5000, maxBackoff = 30000 }) {
+        super();
+        this.options = { host, port, password, db, commandTimeout, maxBackoff };
+        this.socket = null;
+        this.ready = false;
+        this.closed = false;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+        this.backoff = 500;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+            this.socket = socket;
+            socket.setNoDelay(true);
+
+            socket.on('connect', async () => {
+                try {
+                    if (this.options.password) await this.send(['AUTH', this.options.password]);
+                    if (this.options.db) await this.send(['SELECT', this.options.db]);
+                    this.ready = true;
+                    this.backoff = 500;
+                    this.emit('ready');
+                    resolve();
+                } catch (e) {
+                    socket.destroy(e);
+                    reject(e);
+                }
+            });
+
+            socket.on('data', (chunk) => this.onData(chunk));
+
+            socket.on('error', (error) => {
+                if (!this.ready) reject(error);
+                this.emit('error', error);
+            });
+
+            socket.on('close', () => {
+                this.ready = false;
+                this.buffer = Buffer.alloc(0);
+                for (const { reject: fail, timer } of this.pending.splice(0)) {
+                    clearTimeout(timer);
+                    fail(new Error('Connection closed'));
+                }
+                if (!this.closed) this.scheduleReconnect();
+            });
+        });
+    }
+
+    scheduleReconnect() {
+        const delay = this.backoff;
+        this.backoff = Math.min(this.backoff * 2, this.options.maxBackoff);
+        setTimeout(() => {
+            if (!this.closed) this.connect().catch(() => {});
+        }, delay).unref();
+    }
+
+    onData(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        let offset = 0;
+        let reply;
+        while (offset < this.buffer.length && (reply = parseReply(this.buffer, offset))) {
+            offset = reply.offset;
+            this.onReply(reply.value);
+        }
+        this.buffer = this.buffer.subarray(offset);
+    }
+
+    onReply(value) {
+        if (Array.isArray(value) && value[0] === 'message') {
+            this.emit('message', value[1], value[2]);
+            return;
+        }
+
+        const request = this.pending.shift();
+        if (!request) return;
+        clearTimeout(request.timer);
+        if (value instanceof Error) request.reject(value);
+        else request.resolve(value);
+    }
+
+    // Write a command even before 'ready' (used for AUTH/SELECT)
+    send(args) {
+        return new Promise((resolve, reject) => {
+            // A reply that never comes would shift every later one; drop the link instead
+            const timer = setTimeout(() => {
+                this.socket.destroy(new Error(`${args[0]} timed out`));
+            }, this.options.commandTimeout);
+            this.pending.push({ resolve, reject, timer });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    command(args) {
+        if (!this.ready) {
+            return Promise.reject(new Error('Not connected'));
+        }
+        return this.send(args);
+    }
+
+    close() {
+        this.closed = true;
+        if (this.socket) this.socket.end();
+    }
+}
+
+// Parse redis://[:password@]host[:port][/db]
+function parseRedisUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'redis:') {
+        throw new Error(`Unsupported Redis URL scheme: ${parsed.protocol}`);
+    }
+    return {
+        host: parsed.hostname || 'localhost',
+        port: Number(parsed.port) || 6379,
+        password: parsed.password ? decodeURIComponent(parsed.password) : null,
+        db: Number(parsed.pathname.slice(1)) || 0
+    };
+}
+
+class RedisAdapter extends EventEmitter {
+    constructor(url) {
+        super();
+        const options = parseRedisUrl(url);
+        // Subscribed connections can't run other commands
+        this.commands = new RespConnection(options);
+        this.subscriber = new RespConnection(options);
+        this.handlers = new Map();
+
+        for (const connection of [this.commands, this.subscriber]) {
+            connection.on('error', (error) => this.emit('error', error));
+        }
+
+        this.subscriber.on('message', (channel, payload) => {
+            let message;
+            try {
+                message = JSON.parse(payload);
+            } catch (e) {
+                this.emit('error', new Error(`Undecodable message on ${channel}`));
+                return;
+            }
+            for (const handler of this.handlers.get(channel) || []) {
+                handler(message);
+            }
+        });
+
+        // Subscriptions don't survive a reconnect
+        this.subscriber.on('ready', () => {
+            for (const channel of this.handlers.keys()) {
+                this.subscriber.command(['SUBSCRIBE', channel]).catch(error => this.emit('error', error));
+            }
+        });
+    }
+
+    async connect() {
+        await Promise.all([this.commands.connect(), this.subscriber.connect()]);
+    }
+
+    async close() {
+        this.commands.close();
+        this.subscriber.close();
+    }
+
+    async publish(channel, message) {
+        await this.commands.command(['PUBLISH', channel, JSON.stringify(message)]);
+    }
+
+    async subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) {
+            this.handlers.set(channel, new Set());
+            await this.subscriber.command(['SUBSCRIBE', channel]);
+        }
+        this.handlers.get(channel).add(handler);
+    }
+
+    async hset(key, field, value) {
+        await this.commands.command(['HSET', key, field, JSON.stringify(value)]);
+    }
+
+    async hdel(key, field) {
+        await this.commands.command(['HDEL', key, field]);
+    }
+
+    async hgetall(key) {
+        const flat = await this.commands.command(['HGETALL', key]) || [];
+        const result = {};
+        for (let i = 0; i < flat.length; i += 2) {
+            result[flat[i]] = JSON.parse(flat[i + 1]);
+        }
+        return result;
+    }
+}
+
+// Adapter for STATE_BACKEND ('memory' | 'redis'); memory adapters get their
+// own hub unless one is passed to share
+function createAdapter(backend, { redisUrl = null, hub } = {}) {
+    switch (backend) {
+        case 'memory':
+            return new MemoryAdapter(hub);
+        case 'redis':
+            return new RedisAdapter(redisUrl);
+        default:
+            throw new Error(`Unknown state backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    MemoryHub,
+    MemoryAdapter,
+    RedisAdapter,
+    RespConnection,
+    createAdapter
+};
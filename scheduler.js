@@ -0,0 +1,113 @@
+// Fixed-rate fan-out of world state.
+//
+// /minecraft-data posts only apply their data and mark the world dirty. Every
+// tick (BROADCAST_TICK_RATE per second) each dirty world is flushed once with its
+// latest state, however many posts arrived since the previous tick.
+
+const { performance } = require("perf_hooks");
+const { Logger } = require("./logger");
+
+class BroadcastScheduler {
+    // flush(room, details) sends a world out and returns the clients updated;
+    // onTick(tick) gets { rooms, sent, duration } after every tick with work
+    constructor(config, { flush, onTick = () => {} }) {
+        this.config = config;
+        this.flush = flush;
+        this.onTick = onTick;
+        this.pending = new Map(); // room → details of its latest post
+        this.timer = null;
+        this.stats = {
+            ticks: 0,
+            merged: 0,
+            overruns: 0,
+            totalDuration: 0,
+            maxDuration: 0,
+            last: null
+        };
+    }
+
+    interval() {
+        return 1000 / this.config.BROADCAST_TICK_RATE;
+    }
+
+    // Queue a world for the next tick; true when it replaced a post still waiting
+    markDirty(room, details = {}) {
+        const merged = this.pending.has(room);
+        if (merged) this.stats.merged++;
+        this.pending.set(room, details);
+        return merged;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.interval());
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Pick up a new BROADCAST_TICK_RATE
+    reschedule() {
+        if (!this.timer) return;
+        this.stop();
+        this.start();
+    }
+
+    tick() {
+        if (this.pending.size === 0) return null;
+
+        const started = performance.now();
+        const rooms = Array.from(this.pending);
+        this.pending.clear();
+
+        let sent = 0;
+        for (const [room, details] of rooms) {
+            try {
+                sent += this.flush(room, details);
+            } catch (e) {
+                Logger.error(`Broadcast of world ${room.id} failed`, { error: e });
+            }
+        }
+
+        const duration = performance.now() - started;
+        const tick = { rooms: rooms.length, sent, duration };
+        this.stats.ticks++;
+        this.stats.totalDuration += duration;
+        this.stats.maxDuration = Math.max(this.stats.maxDuration, duration);
+        if (duration > this.interval()) {
+            this.stats.overruns++;
+            Logger.warn(`Broadcast tick took ${duration.toFixed(1)}ms (budget ${this.interval().toFixed(1)}ms)`, { rooms: tick.rooms, sent });
+        }
+        this.stats.last = { at: Date.now(), ...tick };
+
+        this.onTick(tick);
+        return tick;
+    }
+
+    getStats() {
+        const { ticks, merged, overruns, totalDuration, maxDuration, last } = this.stats;
+        const ms = value => Math.round(value * 100) / 100;
+        return {
+            tickRate: this.config.BROADCAST_TICK_RATE,
+            running: this.timer !== null,
+            pending: this.pending.size,
+            ticks,
+            merged,
+            overruns,
+            avgDurationMs: ticks ? ms(totalDuration / ticks) : 0,
+            maxDurationMs: ms(maxDuration),
+            last: last && {
+                at: new Date(last.at).toISOString(),
+                rooms: last.rooms,
+                sent: last.sent,
+                durationMs: ms(last.duration)
+            }
+        };
+    }
+}
+
+module.exports = {
+    BroadcastScheduler
+};
@@ -0,0 +1,282 @@
+// Declared shapes of every WebSocket message and HTTP payload the server accepts.
+// Fields not listed in a schema are passed through untouched.
+
+const { VOICE_MODES } = require("./spatial");
+
+const WORLD_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const GAMERTAG_PATTERN = /^[\p{L}\p{N}_#-](?:[\p{L}\p{N} _#-]*[\p{L}\p{N}_#-])?$/u;
+
+const LIMITS = {
+    GAMERTAG_MAX_LENGTH: 32,
+    SDP_MAX_LENGTH: 16 * 1024,
+    CANDIDATE_MAX_LENGTH: 1024,
+    MAX_PLAYERS: 200,
+    COORDINATE_MAX: 30000000, // world border
+};
+
+// =====================================================
+// FIELD TYPES
+// =====================================================
+
+const GAMERTAG = { type: 'string', maxLength: LIMITS.GAMERTAG_MAX_LENGTH, pattern: GAMERTAG_PATTERN };
+const WORLD_ID = { type: 'string', pattern: WORLD_ID_PATTERN };
+const VOLUME_DB = { type: 'number', min: -200, max: 50 };
+const VOICE_MODE = { type: 'string', enum: VOICE_MODES };
+
+const SESSION_DESCRIPTION = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: ['offer', 'answer', 'pranswer', 'rollback'], optional: true },
+        sdp: { type: 'string', maxLength: LIMITS.SDP_MAX_LENGTH }
+    }
+};
+
+const ICE_CANDIDATE = {
+    type: 'object',
+    nullable: true, // end of candidates
+    properties: {
+        candidate: { type: 'string', maxLength: LIMITS.CANDIDATE_MAX_LENGTH },
+        sdpMid: { type: 'string', maxLength: 64, optional: true, nullable: true },
+        sdpMLineIndex: { type: 'number', integer: true, min: 0, max: 255, optional: true, nullable: true },
+        usernameFragment: { type: 'string', maxLength: 256, optional: true, nullable: true }
+    }
+};
+
+const LOCATION = {
+    type: 'object',
+    properties: {
+        x: { type: 'number', min: -LIMITS.COORDINATE_MAX, max: LIMITS.COORDINATE_MAX },
+        y: { type: 'number', min: -2048, max: 2048 },
+        z: { type: 'number', min: -LIMITS.COORDINATE_MAX, max: LIMITS.COORDINATE_MAX }
+    }
+};
+
+// Player.getRotation(): x = pitch, y = yaw (degrees)
+const ROTATION = {
+    type: 'object',
+    properties: {
+        x: { type: 'number', min: -90, max: 90 },
+        y: { type: 'number', min: -360, max: 360 }
+    }
+};
+
+const SIGNAL_BASE = {
+    to: GAMERTAG,
+    from: { ...GAMERTAG, optional: true }
+};
+
+// =====================================================
+// MESSAGE SCHEMAS
+// =====================================================
+
+const MESSAGE_SCHEMAS = {
+    'join': {
+        gamertag: GAMERTAG,
+        worldId: { ...WORLD_ID, optional: true },
+        pairingCode: { type: 'string', maxLength: 32, optional: true },
+        sessionToken: { type: 'string', pattern: /^[0-9a-f]{64}$/, optional: true }
+    },
+    'leave': {},
+    'voice-detection': {
+        gamertag: { ...GAMERTAG, optional: true },
+        isTalking: { type: 'boolean' },
+        volume: { ...VOLUME_DB, optional: true }
+    },
+    'ptt-status': {
+        gamertag: { ...GAMERTAG, optional: true },
+        isTalking: { type: 'boolean' },
+        isMuted: { type: 'boolean' },
+        voiceMode: { ...VOICE_MODE, optional: true }
+    },
+    'offer': {
+        ...SIGNAL_BASE,
+        offer: { ...SESSION_DESCRIPTION, optional: true },
+        sdp: { type: 'string', maxLength: LIMITS.SDP_MAX_LENGTH, optional: true }
+    },
+    'answer': {
+        ...SIGNAL_BASE,
+        answer: { ...SESSION_DESCRIPTION, optional: true },
+        sdp: { type: 'string', maxLength: LIMITS.SDP_MAX_LENGTH, optional: true }
+    },
+    'ice-candidate': {
+        ...SIGNAL_BASE,
+        candidate: { ...ICE_CANDIDATE, optional: true }
+    },
+    'heartbeat': {},
+    'request-participants': {},
+    'request-keyframe': {},
+    'relay-mode': {
+        enabled: { type: 'boolean' }
+    }
+};
+
+// POST /minecraft-data
+const MINECRAFT_DATA_SCHEMA = {
+    type: 'object',
+    properties: {
+        worldId: { ...WORLD_ID, optional: true },
+        players: {
+            type: 'array',
+            optional: true,
+            maxItems: LIMITS.MAX_PLAYERS,
+            items: {
+                type: 'object',
+                properties: {
+                    name: GAMERTAG,
+                    location: { ...LOCATION, optional: true },
+                    rotation: { ...ROTATION, optional: true },
+                    dimension: { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9_.:\/-]+$/, optional: true }, // player.dimension.id
+                    data: {
+                        type: 'object',
+                        optional: true,
+                        properties: {
+                            isTalking: { type: 'boolean', optional: true },
+                            isMuted: { type: 'boolean', optional: true },
+                            isDeafened: { type: 'boolean', optional: true },
+                            isInCave: { type: 'boolean', optional: true },
+                            isUnderWater: { type: 'boolean', optional: true },
+                            isInMountain: { type: 'boolean', optional: true },
+                            isBuried: { type: 'boolean', optional: true },
+                            micVolume: { type: 'number', min: 0, max: 100, optional: true },
+                            voiceVolume: { ...VOLUME_DB, optional: true },
+                            voiceMode: { ...VOICE_MODE, optional: true },
+                            customVolumes: { type: 'object', optional: true, properties: {} },
+                            pairingCode: { type: 'string', maxLength: 32, optional: true }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// POST /pairing-code
+const PAIRING_CODE_SCHEMA = {
+    type: 'object',
+    properties: {
+        worldId: { ...WORLD_ID, optional: true },
+        gamertag: GAMERTAG
+    }
+};
+
+// =====================================================
+// VALIDATOR
+// =====================================================
+
+// Returns null when valid, else { code, field, message } for the first problem found
+function validate(schema, value, field = '') {
+    const name = field || 'value';
+
+    if (value === undefined) {
+        return schema.optional ? null : { code: 'MISSING_FIELD', field: name, message: `${name} is required` };
+    }
+    if (value === null) {
+        return schema.nullable ? null : { code: 'INVALID_TYPE', field: name, message: `${name} must not be null` };
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return { code: 'INVALID_TYPE', field: name, message: `${name} must be a string` };
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return { code: 'TOO_LONG', field: name, message: `${name} exceeds ${schema.maxLength} characters` };
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                return { code: 'INVALID_VALUE', field: name, message: `${name} must be one of ${schema.enum.join(', ')}` };
+            }
+            if (schema.pattern && !schema.pattern.test(value)) {
+                return { code: 'INVALID_FORMAT', field: name, message: `${name} has an invalid format` };
+            }
+            return null;
+
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return { code: 'INVALID_TYPE', field: name, message: `${name} must be a finite number` };
+            }
+            if (schema.integer && !Number.isInteger(value)) {
+                return { code: 'INVALID_TYPE', field: name, message: `${name} must be an integer` };
+            }
+            if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+                return { code: 'OUT_OF_RANGE', field: name, message: `${name} must be between ${schema.min} and ${schema.max}` };
+            }
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null
+                : { code: 'INVALID_TYPE', field: name, message: `${name} must be a boolean` };
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                return { code: 'INVALID_TYPE', field: name, message: `${name} must be an array` };
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return { code: 'TOO_LONG', field: name, message: `${name} exceeds ${schema.maxItems} items` };
+            }
+            for (let i = 0; i < value.length; i++) {
+                const error = validate(schema.items, value[i], `${name}[${i}]`);
+                if (error) return error;
+            }
+            return null;
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return { code: 'INVALID_TYPE', field: name, message: `${name} must be an object` };
+            }
+            for (const [key, propSchema] of Object.entries(schema.properties)) {
+                const error = validate(propSchema, value[key], field ? `${field}.${key}` : key);
+                if (error) return error;
+            }
+            return null;
+
+        default:
+            return null;
+    }
+}
+
+// Validate a decoded WebSocket message
+function validateMessage(data) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        return { code: 'MALFORMED_MESSAGE', field: null, message: 'Message must be an object' };
+    }
+    if (typeof data.type !== 'string') {
+        return { code: 'MISSING_FIELD', field: 'type', message: 'type is required' };
+    }
+
+    // Own keys only: "toString" or "__proto__" are not message types
+    const properties = Object.hasOwn(MESSAGE_SCHEMAS, data.type) ? MESSAGE_SCHEMAS[data.type] : null;
+    if (!properties) {
+        return { code: 'UNKNOWN_TYPE', field: 'type', message: `Unknown message type: ${data.type}` };
+    }
+
+    return validate({ type: 'object', properties }, data);
+}
+
+// Validate a /minecraft-data body
+function validateMinecraftData(body) {
+    return validate(MINECRAFT_DATA_SCHEMA, body);
+}
+
+// Validate a /pairing-code body
+function validatePairingCodeRequest(body) {
+    return validate(PAIRING_CODE_SCHEMA, body);
+}
+
+// Validate a gamertag outside a message (e.g. a URL parameter)
+function validateGamertag(value) {
+    return validate(GAMERTAG, value, 'gamertag');
+}
+
+module.exports = {
+    WORLD_ID_PATTERN,
+    GAMERTAG_PATTERN,
+    LIMITS,
+    MESSAGE_SCHEMAS,
+    MINECRAFT_DATA_SCHEMA,
+    PAIRING_CODE_SCHEMA,
+    validate,
+    validateMessage,
+    validateMinecraftData,
+    validatePairingCodeRequest,
+    validateGamertag
+};
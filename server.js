@@ -1,385 +1,69 @@
 const express = require("express");
 const http = require("http");
-const { WebSocketServer } = require("ws");
 const path = require("path");
-const axios = require("axios");
+const { createEnviroVoiceServer } = require("./envirovoice");
+
+// Servidor de desarrollo: el mismo servidor que producción, montado en una app
+// Express propia, con valores cómodos para probar en local. Las variables de
+// entorno y CONFIG_FILE siguen teniendo prioridad.
+const DEV_DEFAULTS = {
+  REQUIRE_PAIRING: 'false',
+  GAMERTAG_VERIFIER: 'http', // /gamertag/:tag consulta xboxgamertag.com, como antes
+  LOG_FORMAT: 'pretty',
+  LOG_LEVEL: 'debug'
+};
+
+let voice;
+try {
+  voice = createEnviroVoiceServer({
+    env: { ...DEV_DEFAULTS, ...process.env }
+  });
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
 
+const CONFIG = voice.config;
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
 
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
-  }
-  
-  next();
-});
+// Las rutas HTTP (también /gamertag/:tag, con GAMERTAG_VERIFIER) y el WebSocket
+// los atiende el servidor de voz
+app.use(voice.app);
+voice.attach(server);
 
-app.use(express.json());
+// Archivos estáticos del cliente (carpeta superior)
 app.use(express.static(path.join(__dirname, "..")));
 
-let minecraftData = null;
-const clients = new Map();
-const pttStates = new Map();
-const voiceDetectionStates = new Map(); // NUEVO: Estado de detección de voz
-
-app.post("/minecraft-data", (req, res) => {
-  minecraftData = req.body;
-  console.log("📦 Datos de Minecraft recibidos");
-
-  try {
-    const players = Array.isArray(minecraftData.players) ? minecraftData.players : [];
-    for (const player of players) {
-      const gamertag = player?.name;
-      if (!gamertag) continue;
-
-      const data = player?.data || {};
-      const isMuted = Boolean(data.isMuted);
-      const isTalking = Boolean(data.isTalking);
-      const volume = typeof data.voiceVolume === 'number' ? data.voiceVolume : -100;
-
-      pttStates.set(gamertag, { isTalking, isMuted });
-      voiceDetectionStates.set(gamertag, { isTalking, volume });
-    }
-  } catch (e) {
-    console.error("❌ Error processing Minecraft payload states:", e);
-  }
-
-  const muteStates = minecraftData.players?.map(player => ({
-    gamertag: player.name,
-    isMuted: player.data.isMuted,
-    isDeafened: player.data.isDeafened,
-    micVolume: player.data.micVolume
-  })) || [];
-
-  const pttStatesArray = Array.from(pttStates.entries()).map(([gamertag, state]) => ({
-    gamertag,
-    ...state
-  }));
-
-  // NUEVO: Incluir estados de detección de voz
-  const voiceStatesArray = Array.from(voiceDetectionStates.entries()).map(([gamertag, state]) => ({
-    gamertag,
-    isTalking: state.isTalking,
-    volume: state.volume
-  }));
-
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) {
-      client.send(JSON.stringify({
-        type: 'minecraft-update',
-        data: minecraftData,
-        muteStates: muteStates,
-        pttStates: pttStatesArray,
-        voiceStates: voiceStatesArray // NUEVO
-      }));
-    }
-  });
-
-  res.json({ 
-    success: true,
-    pttStates: pttStatesArray,
-    voiceStates: voiceStatesArray // NUEVO
-  });
+voice.on('join', ({ worldId, gamertag, resumed }) => {
+  console.log(`👤 ${gamertag} ${resumed ? 'reanudó su sesión' : 'se unió'} en ${worldId}`);
 });
 
-function isGamertagTaken(gamertag) {
-  for (const [_, clientData] of clients.entries()) {
-    if (clientData.gamertag === gamertag) {
-      return true;
-    }
-  }
-  return false;
-}
-
-function broadcast(senderWs, message) {
-  wss.clients.forEach(client => {
-    if (client !== senderWs && client.readyState === 1) {
-      client.send(JSON.stringify(message));
-    }
-  });
-}
-
-function broadcastToAll(message) {
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) {
-      client.send(JSON.stringify(message));
-    }
-  });
-}
-
-wss.on("connection", (ws) => {
-  console.log("🔌 Cliente conectado");
-
-  ws.on("message", (msg) => {
-    try {
-      const data = JSON.parse(msg.toString());
-
-      if (data.type === 'join') {
-        if (isGamertagTaken(data.gamertag)) {
-          console.log(`❌ Gamertag duplicado rechazado: ${data.gamertag}`);
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Gamertag already in use. Please choose a different one.'
-          }));
-          ws.close();
-          return;
-        }
-
-        clients.set(ws, { gamertag: data.gamertag });
-        
-        pttStates.set(data.gamertag, { isTalking: true, isMuted: false });
-        voiceDetectionStates.set(data.gamertag, { isTalking: false, volume: 0 }); // NUEVO
-        
-        console.log(`👤 ${data.gamertag} se unió (${clients.size} usuarios en total)`);
-
-        broadcast(ws, {
-          type: 'join',
-          gamertag: data.gamertag
-        });
-
-        const participantsList = Array.from(clients.values()).map(c => c.gamertag);
-        
-        ws.send(JSON.stringify({
-          type: 'participants-list',
-          list: participantsList
-        }));
-
-        broadcast(ws, {
-          type: 'participants-list',
-          list: participantsList
-        });
-
-        return;
-      }
-
-      if (data.type === 'leave') {
-        const clientData = clients.get(ws);
-        if (clientData) {
-          console.log(`👋 ${clientData.gamertag} se fue (${clients.size - 1} usuarios restantes)`);
-
-          broadcast(ws, {
-            type: 'leave',
-            gamertag: clientData.gamertag
-          });
-
-          pttStates.delete(clientData.gamertag);
-          voiceDetectionStates.delete(clientData.gamertag); // NUEVO
-          clients.delete(ws);
-        }
-        return;
-      }
-
-      // NUEVO: Manejo de detección de voz por decibeles
-      if (data.type === 'voice-detection') {
-        const gamertag = data.gamertag;
-        const isTalking = data.isTalking;
-        const volume = data.volume || 0;
-
-        voiceDetectionStates.set(gamertag, { isTalking, volume });
-
-        console.log(`🎤 Voice Detection: ${gamertag} → ${isTalking ? `TALKING (${volume}dB)` : 'SILENT'}`);
-
-        // No necesitamos broadcast aquí porque Minecraft lo recibirá en el próximo POST
-        return;
-      }
-
-      if (data.type === 'ptt-status') {
-        const gamertag = data.gamertag;
-        const isTalking = data.isTalking;
-        const isMuted = data.isMuted;
-
-        pttStates.set(gamertag, { isTalking, isMuted });
-
-        console.log(`🎙️ PTT: ${gamertag} → ${isTalking ? 'TALKING' : 'MUTED'}`);
-
-        broadcastToAll({
-          type: 'ptt-update',
-          gamertag: gamertag,
-          isTalking: isTalking,
-          isMuted: isMuted
-        });
-
-        return;
-      }
-
-      if (data.type === 'offer' || data.type === 'answer' || data.type === 'ice-candidate') {
-        if (!data.to || !data.from) {
-          console.warn(`⚠️ Mensaje sin 'to' o 'from':`, data.type);
-          return;
-        }
-
-        const targetGamertag = data.to;
-        let targetWs = null;
-        
-        for (const [clientWs, clientData] of clients.entries()) {
-          if (clientData.gamertag === targetGamertag) {
-            targetWs = clientWs;
-            break;
-          }
-        }
-
-        if (targetWs && targetWs.readyState === 1) {
-          targetWs.send(JSON.stringify(data));
-          
-          if (data.type === 'ice-candidate') {
-            console.log(`🧊 ICE ${data.from} → ${data.to}`);
-          } else {
-            console.log(`📨 ${data.type} de ${data.from} → ${data.to}`);
-          }
-        } else {
-          console.warn(`⚠️ No se encontró destinatario: ${targetGamertag}`);
-        }
-
-        return;
-      }
-
-      if (data.type === 'heartbeat') {
-        return;
-      }
-
-      if (data.type === 'request-participants') {
-        const participantsList = Array.from(clients.values()).map(c => c.gamertag);
-        
-        ws.send(JSON.stringify({
-          type: 'participants-list',
-          list: participantsList
-        }));
-        
-        broadcastToAll({
-          type: 'participants-list',
-          list: participantsList
-        });
-        
-        console.log(`📋 Lista de participantes enviada (${participantsList.length} usuarios)`);
-        return;
-      }
-
-      console.warn(`⚠️ Tipo de mensaje desconocido: ${data.type}`);
-
-    } catch (e) {
-      console.error("❌ Error procesando mensaje:", e);
-    }
-  });
-
-  ws.on('close', () => {
-    const clientData = clients.get(ws);
-    if (clientData) {
-      console.log(`🔌 ${clientData.gamertag} desconectado (${clients.size - 1} usuarios restantes)`);
-
-      broadcast(ws, {
-        type: 'leave',
-        gamertag: clientData.gamertag
-      });
-
-      pttStates.delete(clientData.gamertag);
-      voiceDetectionStates.delete(clientData.gamertag); // NUEVO
-      clients.delete(ws);
-      
-      const updatedList = Array.from(clients.values()).map(c => c.gamertag);
-      broadcastToAll({
-        type: 'participants-list',
-        list: updatedList
-      });
-    }
-  });
-
-  ws.on('error', (error) => {
-    const clientData = clients.get(ws);
-    const gamertag = clientData ? clientData.gamertag : 'Unknown';
-    console.error(`❌ Error en WebSocket para ${gamertag}:`, error.message);
-  });
-
-  if (minecraftData) {
-    ws.send(JSON.stringify({
-      type: 'minecraft-update',
-      data: minecraftData
-    }));
-  }
-});
-
-app.get("/health", (req, res) => {
-  const status = {
-    status: 'ok',
-    connected_users: clients.size,
-    minecraft_data: !!minecraftData,
-    ptt_active_users: pttStates.size,
-    voice_detection_users: voiceDetectionStates.size, // NUEVO
-    uptime: process.uptime()
-  };
-  res.json(status);
-});
-
-app.get("/gamertag/:tag", async (req, res) => {
-  const tag = req.params.tag;
-  const encoded = encodeURIComponent(tag);
-  const url = `https://xboxgamertag.com/search/${encoded}`;
-
-  console.log("🔍 Verificando gamertag:", tag);
-
-  try {
-    const { data: html } = await axios.get(url);
-
-    const existe = html.includes("Gamerscore");
-
-    res.json({
-      gamertag: tag,
-      exists: existe
-    });
-
-  } catch (err) {
-    console.error("❌ Error verificando gamertag:", err.message);
-    res.status(500).json({
-      error: "Verification failed",
-      message: err.message
-    });
-  }
-});
-
-app.get("/ptt-states", (req, res) => {
-  const states = Array.from(pttStates.entries()).map(([gamertag, state]) => ({
-    gamertag,
-    ...state
-  }));
-  res.json({ pttStates: states });
-});
-
-// NUEVO: Endpoint para obtener estados de detección de voz
-app.get("/voice-states", (req, res) => {
-  const states = Array.from(voiceDetectionStates.entries()).map(([gamertag, state]) => ({
-    gamertag,
-    ...state
-  }));
-  res.json({ voiceStates: states });
+voice.on('leave', ({ worldId, gamertag }) => {
+  console.log(`👋 ${gamertag} salió de ${worldId}`);
 });
 
 process.on('SIGINT', () => {
   console.log('\n🛑 Apagando servidor...');
-  
-  broadcastToAll({ type: 'server-shutdown' });
-  
-  wss.clients.forEach(client => {
-    client.close();
-  });
-  
-  server.close(() => {
-    console.log('✅ Servidor cerrado');
-    process.exit(0);
+
+  voice.close({ timeout: 1000 }).finally(() => {
+    server.close(() => {
+      console.log('✅ Servidor cerrado');
+      process.exit(0);
+    });
   });
 });
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`🚀 EnviroVoice Server v2.2`);
+const PORT = CONFIG.PORT;
+voice.start().then(() => server.listen(PORT, () => {
+  console.log(`🚀 EnviroVoice Server (desarrollo)`);
   console.log(`🌐 Servidor escuchando en puerto ${PORT}`);
   console.log(`📡 WebSocket: ws://localhost:${PORT}`);
   console.log(`🎮 Minecraft endpoint: POST http://localhost:${PORT}/minecraft-data`);
   console.log(`💚 Health check: GET http://localhost:${PORT}/health`);
   console.log(`🎙️ PTT states: GET http://localhost:${PORT}/ptt-states`);
   console.log(`🎤 Voice states: GET http://localhost:${PORT}/voice-states`);
+})).catch((error) => {
+  console.error("❌ No se pudo iniciar el servidor:", error.message);
+  process.exit(1);
 });
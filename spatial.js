@@ -0,0 +1,136 @@
+// Server-side spatial audio: for each listener, the speakers it can hear with
+// their gain, stereo pan/azimuth and environment filter preset (filters.js), so
+// every client plays the same mix instead of working it out from the raw player data.
+//
+// Attenuation follows the Web Audio PannerNode distance models, cut off at the
+// range of the speaker's voice mode (maxRange when speaking normally). SPATIAL_*
+// keys are the defaults; SPATIAL_WORLDS overrides them per world:
+// { "<worldId>": { attenuation, refDistance, rolloff, maxRange, whisperRange, shoutRange } }.
+
+const ATTENUATION_MODELS = ['linear', 'inverse', 'exponential'];
+const VOICE_MODES = ['whisper', 'normal', 'shout'];
+
+const WORLD_SETTINGS = {
+    attenuation: value => ATTENUATION_MODELS.includes(value) ? null : `must be one of ${ATTENUATION_MODELS.join(', ')}`,
+    refDistance: value => Number.isFinite(value) && value > 0 ? null : 'must be a number > 0',
+    rolloff: value => Number.isFinite(value) && value >= 0 ? null : 'must be a number >= 0',
+    maxRange: value => Number.isFinite(value) && value > 0 ? null : 'must be a number > 0',
+    whisperRange: value => Number.isFinite(value) && value > 0 ? null : 'must be a number > 0',
+    shoutRange: value => Number.isFinite(value) && value > 0 ? null : 'must be a number > 0'
+};
+
+// Settings for one world: SPATIAL_* defaults with its SPATIAL_WORLDS entry applied
+function spatialSettings(config, worldId) {
+    return {
+        attenuation: config.SPATIAL_ATTENUATION,
+        refDistance: config.SPATIAL_REF_DISTANCE,
+        rolloff: config.SPATIAL_ROLLOFF,
+        maxRange: config.SPATIAL_MAX_RANGE,
+        whisperRange: config.SPATIAL_WHISPER_RANGE,
+        shoutRange: config.SPATIAL_SHOUT_RANGE,
+        ...config.SPATIAL_WORLDS[worldId]
+    };
+}
+
+// Problems with the SPATIAL_* keys (config validation)
+function validateSpatialConfig(values) {
+    const errors = [];
+    if (values.SPATIAL_REF_DISTANCE >= values.SPATIAL_MAX_RANGE) {
+        errors.push('SPATIAL_REF_DISTANCE must be less than SPATIAL_MAX_RANGE');
+    }
+    if (values.SPATIAL_WHISPER_RANGE > values.SPATIAL_MAX_RANGE || values.SPATIAL_MAX_RANGE > values.SPATIAL_SHOUT_RANGE) {
+        errors.push('SPATIAL_WHISPER_RANGE <= SPATIAL_MAX_RANGE <= SPATIAL_SHOUT_RANGE is required');
+    }
+    for (const [worldId, settings] of Object.entries(values.SPATIAL_WORLDS)) {
+        if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+            errors.push(`SPATIAL_WORLDS.${worldId} must be an object`);
+            continue;
+        }
+        for (const [key, value] of Object.entries(settings)) {
+            const problem = WORLD_SETTINGS[key] ? WORLD_SETTINGS[key](value) : 'unknown setting';
+            if (problem) errors.push(`SPATIAL_WORLDS.${worldId}.${key} ${problem}`);
+        }
+        const { refDistance, maxRange, whisperRange, shoutRange } = spatialSettings(values, worldId);
+        if (refDistance >= maxRange) {
+            errors.push(`SPATIAL_WORLDS.${worldId}: refDistance must be less than maxRange`);
+        }
+        if (whisperRange > maxRange || maxRange > shoutRange) {
+            errors.push(`SPATIAL_WORLDS.${worldId}: whisperRange <= maxRange <= shoutRange is required`);
+        }
+    }
+    return errors;
+}
+
+// How far a voice carries in a voice mode; shoutRange is the longest
+function voiceRange(settings, mode) {
+    if (mode === 'whisper') return settings.whisperRange;
+    if (mode === 'shout') return settings.shoutRange;
+    return settings.maxRange;
+}
+
+// Gain (0..1) at a distance; full volume up to refDistance
+function attenuate(settings, distance) {
+    const { attenuation, refDistance, rolloff, maxRange } = settings;
+    const d = Math.max(distance, refDistance);
+
+    switch (attenuation) {
+        case 'linear':
+            return Math.max(0, 1 - rolloff * (Math.min(d, maxRange) - refDistance) / (maxRange - refDistance));
+        case 'exponential':
+            return Math.pow(d / refDistance, -rolloff);
+        default:
+            return refDistance / (refDistance + rolloff * (d - refDistance));
+    }
+}
+
+// Direction of a speaker around a listener, in degrees: 0 ahead, 90 to the
+// right, ±180 behind. Minecraft yaw (rotation.y) is 0 facing +Z (south),
+// 90 facing -X (west); without a rotation the listener faces south.
+function azimuthOf(listener, speaker, rotation) {
+    const yaw = (Number.isFinite(rotation?.y) ? rotation.y : 0) * Math.PI / 180;
+    const dx = speaker.x - listener.x;
+    const dz = speaker.z - listener.z;
+    const forward = -dx * Math.sin(yaw) + dz * Math.cos(yaw);
+    const right = -dx * Math.cos(yaw) - dz * Math.sin(yaw);
+    if (forward === 0 && right === 0) return 0;
+    return Math.atan2(right, forward) * 180 / Math.PI;
+}
+
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Mix entry of one speaker for a listener; null when beyond its voice range.
+// listener/speaker: { player, position } with the /minecraft-data entry
+// ({ location, rotation?, data? }) and the position in a frame shared by both
+// (SpatialIndex.pairPositions); the speaker also has its gamertag and voiceMode.
+function mixEntry(settings, filters, listener, speaker) {
+    const from = listener.position;
+    const to = speaker.position;
+    const distance = Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+    const range = voiceRange(settings, speaker.voiceMode);
+    if (distance > range) return null;
+
+    // Over its own range a shout or a whisper fades like normal speech over maxRange
+    const azimuth = azimuthOf(from, to, listener.player.rotation);
+    return {
+        gamertag: speaker.gamertag,
+        distance: round(distance, 1),
+        gain: round(attenuate(settings, distance * settings.maxRange / range), 3),
+        azimuth: Math.round(azimuth),
+        pan: round(Math.sin(azimuth * Math.PI / 180), 2),
+        filter: filters.select(listener.player, speaker.player)
+    };
+}
+
+module.exports = {
+    ATTENUATION_MODELS,
+    VOICE_MODES,
+    spatialSettings,
+    validateSpatialConfig,
+    voiceRange,
+    attenuate,
+    azimuthOf,
+    mixEntry
+};
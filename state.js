@@ -0,0 +1,790 @@
+// World state: rooms (one per Minecraft world), the spatial index used for
+// proximity, the WebRTC peer topology and the per-client delta views.
+
+const crypto = require("crypto");
+const { Logger } = require("./logger");
+const { WORLD_ID_PATTERN } = require("./schemas");
+const { ProtocolError } = require("./protocol");
+const { cleanGamertag, sameGamertag } = require("./gamertags");
+const { spatialSettings, voiceRange, mixEntry } = require("./spatial");
+const { Dimensions } = require("./dimensions");
+
+// =====================================================
+// STATE MANAGEMENT (OPTIMIZED)
+// =====================================================
+
+// Uniform grid over the X/Z plane of each dimension for radius queries
+class SpatialIndex {
+    constructor(cellSize, dimensions) {
+        this.cellSize = cellSize;
+        this.dimensions = dimensions;
+        this.cells = new Map();
+        this.positions = new Map();
+        this.dimensionOf = new Map();
+    }
+
+    cellKey(dimension, cx, cz) {
+        return `${dimension}|${cx}:${cz}`;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.positions.clear();
+        this.dimensionOf.clear();
+    }
+
+    insert(id, location, dimension) {
+        const cx = Math.floor(location.x / this.cellSize);
+        const cz = Math.floor(location.z / this.cellSize);
+        const key = this.cellKey(dimension, cx, cz);
+
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(id);
+        this.positions.set(id, location);
+        this.dimensionOf.set(id, dimension);
+    }
+
+    getPosition(id) {
+        return this.positions.get(id) || null;
+    }
+
+    getDimension(id) {
+        return this.dimensionOf.get(id) || null;
+    }
+
+    // Positions of two players in one frame: their own dimension's, or
+    // overworld scale across linked dimensions. null when they can't hear each other.
+    pairPositions(a, b) {
+        const posA = this.positions.get(a);
+        const posB = this.positions.get(b);
+        if (!posA || !posB) return null;
+
+        const dimA = this.dimensionOf.get(a);
+        const dimB = this.dimensionOf.get(b);
+        if (dimA === dimB) return [posA, posB];
+        if (!this.dimensions.canHear(dimA, dimB)) return null;
+        return [this.dimensions.toOverworld(posA, dimA), this.dimensions.toOverworld(posB, dimB)];
+    }
+
+    // Squared distance between two players; Infinity when they can't hear each other
+    distanceSq(a, b) {
+        const pair = this.pairPositions(a, b);
+        return pair ? distanceSq(pair[0], pair[1]) : Infinity;
+    }
+
+    // IDs within radius of a point in a dimension (3D distance), players of
+    // linked dimensions included
+    queryRadius(location, radius, dimension) {
+        const result = [];
+        const radiusSq = radius * radius;
+        this.collect(dimension, location, radius, pos => distanceSq(pos, location) <= radiusSq, result);
+
+        const center = this.dimensions.toOverworld(location, dimension);
+        for (const other of this.dimensions.linked(dimension)) {
+            this.collect(other, this.dimensions.fromOverworld(center, other), radius / this.dimensions.scale(other),
+                pos => distanceSq(this.dimensions.toOverworld(pos, other), center) <= radiusSq, result);
+        }
+        return result;
+    }
+
+    // IDs in the cells of a dimension around a point (in that dimension's blocks)
+    // whose position passes `within`
+    collect(dimension, location, radius, within, result) {
+        const span = Math.ceil(radius / this.cellSize);
+        const cx = Math.floor(location.x / this.cellSize);
+        const cz = Math.floor(location.z / this.cellSize);
+
+        for (let dx = -span; dx <= span; dx++) {
+            for (let dz = -span; dz <= span; dz++) {
+                const cell = this.cells.get(this.cellKey(dimension, cx + dx, cz + dz));
+                if (!cell) continue;
+
+                for (const id of cell) {
+                    if (within(this.positions.get(id))) {
+                        result.push(id);
+                    }
+                }
+            }
+        }
+    }
+}
+
+// Extract a usable position from a player payload
+function getPlayerLocation(player) {
+    const loc = player?.location;
+    if (!loc || !Number.isFinite(loc.x) || !Number.isFinite(loc.y) || !Number.isFinite(loc.z)) {
+        return null;
+    }
+    return loc;
+}
+
+// Decides which participants hold a WebRTC connection to each other
+class PeerTopology {
+    constructor(config) {
+        this.config = config;
+        this.edges = new Map();
+    }
+
+    getPeers(gamertag) {
+        return this.edges.get(gamertag) || new Set();
+    }
+
+    isAuthorised(from, to) {
+        return this.getPeers(from).has(to);
+    }
+
+    link(a, b) {
+        if (!this.edges.has(a)) this.edges.set(a, new Set());
+        if (!this.edges.has(b)) this.edges.set(b, new Set());
+        this.edges.get(a).add(b);
+        this.edges.get(b).add(a);
+    }
+
+    unlink(a, b) {
+        this.getPeers(a).delete(b);
+        this.getPeers(b).delete(a);
+        if (this.getPeers(a).size === 0) this.edges.delete(a);
+        if (this.getPeers(b).size === 0) this.edges.delete(b);
+    }
+
+    // Forget a participant, returning the peers it was linked to
+    remove(gamertag) {
+        const peers = Array.from(this.getPeers(gamertag));
+        for (const peer of peers) {
+            this.unlink(gamertag, peer);
+        }
+        return peers;
+    }
+
+    // Recompute links from positions; returns the pairs to connect and disconnect.
+    // Pairs connect inside PEER_CONNECT_RADIUS but only drop beyond
+    // PEER_DISCONNECT_RADIUS, so players hovering at the edge don't flap.
+    // rangeOf(gamertag) is how far a player's voice carries; a pair also
+    // connects within the longer of their two ranges, and stays connected up to
+    // the same margin (PEER_DISCONNECT_RADIUS - PEER_CONNECT_RADIUS) past it.
+    update(participants, spatialIndex, rangeOf = () => 0) {
+        const connect = [];
+        const disconnect = [];
+        const margin = Math.max(this.config.PEER_DISCONNECT_RADIUS - this.config.PEER_CONNECT_RADIUS, 0);
+        const pairRange = (a, b) => Math.max(rangeOf(a), rangeOf(b));
+
+        for (const [a, peers] of Array.from(this.edges.entries())) {
+            for (const b of Array.from(peers)) {
+                if (a > b) continue;
+
+                // Players in dimensions that can't hear each other are infinitely far apart
+                const radius = Math.max(this.config.PEER_CONNECT_RADIUS, pairRange(a, b)) + margin;
+                const keep = participants.has(a) && participants.has(b) &&
+                    spatialIndex.distanceSq(a, b) <= radius * radius;
+
+                if (!keep) {
+                    this.unlink(a, b);
+                    disconnect.push([a, b]);
+                }
+            }
+        }
+
+        // Closest pairs first so the peer budget goes to the nearest players
+        const candidates = [];
+        const searchRadius = Math.max(this.config.PEER_CONNECT_RADIUS, ...Array.from(participants, rangeOf));
+        for (const a of participants) {
+            const posA = spatialIndex.getPosition(a);
+            if (!posA) continue;
+
+            for (const b of spatialIndex.queryRadius(posA, searchRadius, spatialIndex.getDimension(a))) {
+                if (a < b && participants.has(b) && !this.isAuthorised(a, b)) {
+                    const radius = Math.max(this.config.PEER_CONNECT_RADIUS, pairRange(a, b));
+                    const dist = spatialIndex.distanceSq(a, b);
+                    if (dist <= radius * radius) candidates.push({ a, b, dist });
+                }
+            }
+        }
+        candidates.sort((x, y) => x.dist - y.dist);
+
+        for (const { a, b } of candidates) {
+            if (this.getPeers(a).size < this.config.MAX_PEERS && this.getPeers(b).size < this.config.MAX_PEERS) {
+                this.link(a, b);
+                connect.push([a, b]);
+            }
+        }
+
+        return { connect, disconnect };
+    }
+}
+
+function distanceSq(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+// Compare two JSON values
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Fields of `next` that differ from `prev`, recursing into nested objects.
+// Removed fields come back as null; returns null when nothing changed.
+function diffFields(prev, next) {
+    let changes = null;
+    for (const key of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+        let change;
+        if (isPlainObject(prev[key]) && isPlainObject(next[key])) {
+            change = diffFields(prev[key], next[key]);
+            if (change === null) continue;
+        } else if (sameValue(prev[key], next[key])) {
+            continue;
+        } else {
+            change = next[key] === undefined ? null : next[key];
+        }
+        changes = changes || {};
+        changes[key] = change;
+    }
+    return changes;
+}
+
+// What one client last received, used to send only what changed since.
+// Every message carries a per-client `seq`; a client that sees a gap asks
+// for a keyframe with `request-keyframe`.
+class ClientView {
+    constructor(config) {
+        this.config = config;
+        this.seq = 0;
+        this.reset();
+    }
+
+    // Forget the snapshot so the next update is a keyframe
+    reset() {
+        this.world = null;
+        this.players = new Map();
+        this.pttStates = new Map();
+        this.voiceStates = new Map();
+        this.audio = null;
+        this.lastKeyframe = 0;
+    }
+
+    remember(update) {
+        const { players, ...world } = update.data;
+        this.world = world;
+        this.players = new Map(players.map(p => [p.name, p]));
+        this.pttStates = new Map(update.pttStates.map(s => [s.gamertag, s]));
+        this.voiceStates = new Map(update.voiceStates.map(s => [s.gamertag, s]));
+        this.audio = update.audio || null;
+    }
+
+    // Turn a full per-listener update into the message to send; null if nothing changed
+    encode(update) {
+        const now = Date.now();
+
+        if (this.world === null || now - this.lastKeyframe >= this.config.KEYFRAME_INTERVAL) {
+            this.remember(update);
+            this.lastKeyframe = now;
+            return { ...update, seq: ++this.seq, keyframe: true };
+        }
+
+        const { players, ...world } = update.data;
+        const delta = { type: 'minecraft-delta', worldId: update.worldId };
+        let changed = false;
+
+        const worldChanges = diffFields(this.world, world);
+        if (worldChanges) {
+            delta.data = worldChanges;
+            changed = true;
+        }
+
+        const playerChanges = [];
+        for (const player of players) {
+            const prev = this.players.get(player.name);
+            if (!prev) {
+                playerChanges.push(player);
+                continue;
+            }
+            const fields = diffFields(prev, player);
+            if (fields) playerChanges.push({ name: player.name, ...fields });
+        }
+
+        const present = new Set(players.map(p => p.name));
+        const removed = Array.from(this.players.keys()).filter(name => !present.has(name));
+
+        const pttChanges = update.pttStates.filter(s => !sameValue(this.pttStates.get(s.gamertag), s));
+        const voiceChanges = update.voiceStates.filter(s => !sameValue(this.voiceStates.get(s.gamertag), s));
+
+        if (playerChanges.length) delta.players = playerChanges;
+        if (removed.length) delta.removed = removed;
+        if (pttChanges.length) delta.pttStates = pttChanges;
+        if (voiceChanges.length) delta.voiceStates = voiceChanges;
+        changed = changed || playerChanges.length > 0 || removed.length > 0 ||
+            pttChanges.length > 0 || voiceChanges.length > 0;
+
+        // The mix is small and changes as a whole, so it is sent complete
+        if (update.audio && !sameValue(this.audio, update.audio)) {
+            delta.audio = update.audio;
+            changed = true;
+        }
+
+        if (!changed) {
+            return null;
+        }
+
+        this.remember(update);
+        delta.seq = ++this.seq;
+        return delta;
+    }
+}
+
+// A room holds the state of a single Minecraft world
+class Room {
+    constructor(id, config, moderation, filterPresets) {
+        this.id = id;
+        this.config = config;
+        this.moderation = moderation;
+        this.filterPresets = filterPresets;
+        this.minecraftData = null;
+        this.players = new Map();
+        this.dimensions = new Dimensions(config);
+        this.spatialIndex = new SpatialIndex(config.HEARING_RADIUS, this.dimensions);
+        this.topology = new PeerTopology(config);
+        this.clients = new Map();
+        this.remoteClients = new Map(); // gamertag → instance id, for players on other instances
+        this.pttStates = new Map();
+        this.voiceStates = new Map();
+        this.createdAt = Date.now();
+        this.lastUpdate = 0;
+    }
+
+    // Store a /minecraft-data payload and refresh player states
+    applyMinecraftData(body) {
+        this.minecraftData = body;
+        this.lastUpdate = Date.now();
+        this.players.clear();
+        this.spatialIndex.clear();
+
+        const players = Array.isArray(body.players) ? body.players : [];
+
+        for (const player of players) {
+            if (!player?.name) continue;
+            const gamertag = this.canonicalName(player.name);
+
+            // Clients see the dimension the server uses, also when it was left out
+            const dimension = this.dimensions.normalize(player.dimension);
+            this.players.set(gamertag, player.dimension === dimension ? player : { ...player, dimension });
+
+            const location = getPlayerLocation(player);
+            if (location) {
+                this.spatialIndex.insert(gamertag, location, dimension);
+            }
+
+            const data = player?.data || {};
+            this.setPttState(gamertag, {
+                isTalking: Boolean(data.isTalking),
+                isMuted: Boolean(data.isMuted),
+                voiceMode: data.voiceMode
+            });
+
+            this.setVoiceState(gamertag, {
+                isTalking: Boolean(data.isTalking),
+                volume: typeof data.voiceVolume === 'number' ? data.voiceVolume : -100
+            });
+        }
+
+        return players.length;
+    }
+
+    // Server mutes from moderators override whatever the player reports. The
+    // voice mode is kept when a state doesn't carry one.
+    setPttState(gamertag, state) {
+        const voiceMode = state.voiceMode || this.getVoiceMode(gamertag);
+        const muted = this.moderation.isMuted(this.id, gamertag);
+        const effective = muted
+            ? { isTalking: false, isMuted: true, serverMuted: true, voiceMode }
+            : { ...state, voiceMode };
+        this.pttStates.set(gamertag, effective);
+        return effective;
+    }
+
+    setVoiceState(gamertag, state) {
+        const effective = this.moderation.isMuted(this.id, gamertag) ? { ...state, isTalking: false } : state;
+        this.voiceStates.set(gamertag, effective);
+        return effective;
+    }
+
+    getVoiceMode(gamertag) {
+        return this.pttStates.get(gamertag)?.voiceMode || 'normal';
+    }
+
+    // How far a player's voice carries in its current voice mode
+    getVoiceRange(gamertag) {
+        return voiceRange(spatialSettings(this.config, this.id), this.getVoiceMode(gamertag));
+    }
+
+    // Players who hear a speaker (in its voice range), the speaker included
+    getListeners(gamertag) {
+        const location = this.spatialIndex.getPosition(gamertag);
+        if (!location) return [];
+        return this.spatialIndex.queryRadius(location, this.getVoiceRange(gamertag), this.spatialIndex.getDimension(gamertag));
+    }
+
+    // Players a listener can hear, the listener included: those within
+    // HEARING_RADIUS plus speakers further away whose voice mode reaches it
+    getNearbyPlayers(gamertag) {
+        const location = this.spatialIndex.getPosition(gamertag);
+        if (!location) {
+            return this.players.has(gamertag) ? [gamertag] : [];
+        }
+        const dimension = this.spatialIndex.getDimension(gamertag);
+        const nearby = this.spatialIndex.queryRadius(location, this.config.HEARING_RADIUS, dimension);
+
+        const reach = voiceRange(spatialSettings(this.config, this.id), 'shout');
+        if (reach > this.config.HEARING_RADIUS) {
+            const included = new Set(nearby);
+            for (const name of this.spatialIndex.queryRadius(location, reach, dimension)) {
+                const range = this.getVoiceRange(name);
+                if (!included.has(name) && this.spatialIndex.distanceSq(gamertag, name) <= range * range) {
+                    nearby.push(name);
+                }
+            }
+        }
+        return nearby;
+    }
+
+    // Build the minecraft-update a single listener receives
+    buildUpdate(gamertag) {
+        const nearby = this.getNearbyPlayers(gamertag);
+        const pttStates = [];
+        const voiceStates = [];
+
+        for (const name of nearby) {
+            const ptt = this.pttStates.get(name);
+            if (ptt) pttStates.push({ gamertag: name, ...ptt });
+
+            const voice = this.voiceStates.get(name);
+            if (voice) voiceStates.push({ gamertag: name, ...voice });
+        }
+
+        const update = {
+            type: 'minecraft-update',
+            worldId: this.id,
+            data: {
+                ...this.minecraftData,
+                players: nearby.map(name => this.players.get(name))
+            },
+            pttStates,
+            voiceStates
+        };
+        if (this.config.SPATIAL_AUDIO) {
+            update.audio = this.buildMix(gamertag);
+        }
+        return update;
+    }
+
+    // Speakers a listener hears, nearest first: connected participants within
+    // the range of their voice mode, with their gain, pan/azimuth and filter
+    buildMix(gamertag) {
+        const listener = this.players.get(gamertag);
+        const location = this.spatialIndex.getPosition(gamertag);
+        if (!listener || !location) return [];
+
+        const settings = spatialSettings(this.config, this.id);
+        const participants = new Set(this.getParticipants());
+        const mix = [];
+        const reach = voiceRange(settings, 'shout');
+        for (const name of this.spatialIndex.queryRadius(location, reach, this.spatialIndex.getDimension(gamertag))) {
+            if (name === gamertag || !participants.has(name)) continue;
+            const [from, to] = this.spatialIndex.pairPositions(gamertag, name);
+            const entry = mixEntry(settings, this.filterPresets,
+                { player: listener, position: from },
+                { gamertag: name, player: this.players.get(name), position: to, voiceMode: this.getVoiceMode(name) });
+            if (entry) mix.push(entry);
+        }
+        return mix.sort((a, b) => a.distance - b.distance);
+    }
+
+    // Check if gamertag is taken in this room (on any instance)
+    isGamertagTaken(gamertag) {
+        return this.getParticipants().some(name => sameGamertag(name, gamertag));
+    }
+
+    // Find the socket of a participant
+    findClient(gamertag) {
+        for (const [ws, clientData] of this.clients.entries()) {
+            if (sameGamertag(clientData.gamertag, gamertag)) {
+                return ws;
+            }
+        }
+        return null;
+    }
+
+    // The spelling this room already uses for a gamertag (participants first,
+    // then players in game), so every map of the room is keyed by one name
+    canonicalName(gamertag) {
+        const known = this.getParticipants().find(name => sameGamertag(name, gamertag)) ??
+            Array.from(this.players.keys()).find(name => sameGamertag(name, gamertag));
+        return known ?? cleanGamertag(gamertag);
+    }
+
+    // Get participants list (local and remote)
+    getParticipants() {
+        const local = Array.from(this.clients.values()).map(c => c.gamertag);
+        return local.concat(Array.from(this.remoteClients.keys()));
+    }
+
+    // Recompute the peer mesh for the connected participants
+    updateTopology() {
+        return this.topology.update(new Set(this.getParticipants()), this.spatialIndex, name => this.getVoiceRange(name));
+    }
+
+    // Rooms without clients or fresh Minecraft data can be dropped
+    isIdle(now) {
+        return this.clients.size === 0 && this.remoteClients.size === 0 &&
+            now - this.lastUpdate > this.config.STATE_RETENTION;
+    }
+
+    // Get stats
+    getStats() {
+        return {
+            clients: this.clients.size,
+            remoteClients: this.remoteClients.size,
+            max: this.config.MAX_CONNECTIONS_PER_ROOM,
+            players: Array.isArray(this.minecraftData?.players) ? this.minecraftData.players.length : 0,
+            pttActive: this.pttStates.size,
+            voiceActive: this.voiceStates.size,
+            lastUpdate: this.lastUpdate ? new Date(this.lastUpdate).toISOString() : null
+        };
+    }
+}
+
+class StateManager {
+    constructor(config, moderation, filterPresets) {
+        this.config = config;
+        this.moderation = moderation;
+        this.filterPresets = filterPresets;
+        this.rooms = new Map();
+        this.clients = new Map();
+        this.rateLimits = new Map();
+        this.rejections = new Map();
+        this.evicted = new WeakSet();
+        this.lastCleanup = Date.now();
+    }
+
+    // Count a refused message by error code
+    countRejection(code) {
+        this.rejections.set(code, (this.rejections.get(code) || 0) + 1);
+    }
+
+    // Resolve a world ID from untrusted input
+    normalizeWorldId(worldId) {
+        if (worldId === undefined || worldId === null || worldId === '') {
+            return this.config.DEFAULT_WORLD_ID;
+        }
+        if (typeof worldId !== 'string' || !WORLD_ID_PATTERN.test(worldId)) {
+            throw new ProtocolError('INVALID_WORLD_ID', 'Invalid world ID');
+        }
+        return worldId;
+    }
+
+    // Get a room, creating it on first use
+    getRoom(worldId) {
+        let room = this.rooms.get(worldId);
+        if (!room) {
+            if (this.rooms.size >= this.config.MAX_ROOMS) {
+                throw new ProtocolError('TOO_MANY_WORLDS', 'Too many worlds');
+            }
+            room = new Room(worldId, this.config, this.moderation, this.filterPresets);
+            this.rooms.set(worldId, room);
+            Logger.info(`Room created: ${worldId} (${this.rooms.size} total)`);
+        }
+        return room;
+    }
+
+    // Get the room a client has joined
+    getClientRoom(ws) {
+        const clientData = this.clients.get(ws);
+        return clientData ? this.rooms.get(clientData.worldId) || null : null;
+    }
+
+    // Refuse banned players and addresses
+    assertNotBanned(gamertag, ip, worldId) {
+        const ban = this.moderation.findBan({ gamertag, ip, worldId });
+        if (ban) {
+            throw new ProtocolError('BANNED', ban.reason ? `Banned: ${ban.reason}` : 'Banned');
+        }
+    }
+
+    // Add client with validation
+    addClient(ws, gamertag, worldId, ip = null) {
+        this.assertNotBanned(gamertag, ip, worldId);
+
+        if (this.clients.size >= this.config.MAX_CONNECTIONS) {
+            throw new ProtocolError('SERVER_FULL', 'Server at capacity');
+        }
+
+        const room = this.getRoom(worldId);
+
+        if (room.clients.size >= this.config.MAX_CONNECTIONS_PER_ROOM) {
+            throw new ProtocolError('WORLD_FULL', 'World at capacity');
+        }
+
+        if (room.isGamertagTaken(gamertag)) {
+            throw new ProtocolError('GAMERTAG_TAKEN', 'Gamertag already in use');
+        }
+        gamertag = room.canonicalName(gamertag);
+
+        const clientData = {
+            gamertag,
+            worldId,
+            ip,
+            sessionId: crypto.randomBytes(6).toString('hex'), // survives resumption, for tracing
+            joinedAt: Date.now(),
+            lastActivity: Date.now(),
+            messageCount: 0,
+            relay: false, // audio relay opt-in
+            audioBudget: null,
+            view: new ClientView(this.config)
+        };
+
+        this.clients.set(ws, clientData);
+        room.clients.set(ws, clientData);
+
+        room.setPttState(gamertag, { isTalking: true, isMuted: false });
+        room.setVoiceState(gamertag, { isTalking: false, volume: 0 });
+
+        return room;
+    }
+
+    // Move a session onto a new socket, keeping its PTT/voice state and peers
+    resumeClient(staleWs, ws, ip = null) {
+        const clientData = this.clients.get(staleWs);
+        const room = this.rooms.get(clientData.worldId);
+
+        this.assertNotBanned(clientData.gamertag, ip, clientData.worldId);
+
+        this.clients.delete(staleWs);
+        room.clients.delete(staleWs);
+        this.rateLimits.delete(staleWs);
+        this.evicted.add(staleWs);
+
+        clientData.ip = ip;
+        clientData.lastActivity = Date.now();
+        clientData.resumedAt = Date.now();
+        clientData.view.reset();
+        this.clients.set(ws, clientData);
+        room.clients.set(ws, clientData);
+
+        return room;
+    }
+
+    // Whether a socket lost its session to a resumed connection
+    wasEvicted(ws) {
+        return this.evicted.has(ws);
+    }
+
+    // Remove client
+    removeClient(ws) {
+        const clientData = this.clients.get(ws);
+        if (clientData) {
+            const room = this.rooms.get(clientData.worldId);
+            if (room) {
+                room.topology.remove(clientData.gamertag);
+                room.pttStates.delete(clientData.gamertag);
+                room.voiceStates.delete(clientData.gamertag);
+                room.clients.delete(ws);
+            }
+            this.clients.delete(ws);
+        }
+        this.rateLimits.delete(ws);
+    }
+
+    // Check rate limit
+    checkRateLimit(ws) {
+        const now = Date.now();
+        const limit = this.rateLimits.get(ws) || { count: 0, resetAt: now + this.config.RATE_LIMIT_WINDOW };
+
+        if (now > limit.resetAt) {
+            limit.count = 1;
+            limit.resetAt = now + this.config.RATE_LIMIT_WINDOW;
+        } else {
+            limit.count++;
+        }
+
+        this.rateLimits.set(ws, limit);
+        return limit.count <= this.config.RATE_LIMIT_MAX;
+    }
+
+    // Update client activity
+    updateActivity(ws) {
+        const client = this.clients.get(ws);
+        if (client) {
+            client.lastActivity = Date.now();
+            client.messageCount++;
+        }
+    }
+
+    // Cleanup stale data
+    cleanup() {
+        const now = Date.now();
+
+        // Clean up disconnected clients
+        for (const [ws, data] of this.clients.entries()) {
+            if (now - data.lastActivity > this.config.CLIENT_TIMEOUT) {
+                Logger.warn(`Client timeout: ${data.gamertag}`, { world: data.worldId });
+                if (ws.readyState === 1) {
+                    ws.close(1000, 'Timeout');
+                }
+                this.removeClient(ws);
+            }
+        }
+
+        // Drop rooms nobody is using anymore
+        for (const [worldId, room] of this.rooms.entries()) {
+            if (room.isIdle(now)) {
+                this.rooms.delete(worldId);
+                Logger.info(`Room removed: ${worldId}`);
+            }
+        }
+
+        this.lastCleanup = now;
+    }
+
+    // Get stats
+    getStats() {
+        const rooms = {};
+        let pttActive = 0;
+        let voiceActive = 0;
+        for (const [worldId, room] of this.rooms.entries()) {
+            rooms[worldId] = room.getStats();
+            pttActive += room.pttStates.size;
+            voiceActive += room.voiceStates.size;
+        }
+
+        return {
+            totalClients: this.clients.size,
+            pttActive,
+            voiceActive,
+            rooms,
+            rejections: Object.fromEntries(this.rejections),
+            memoryUsage: process.memoryUsage(),
+            uptime: Math.round(process.uptime())
+        };
+    }
+}
+
+module.exports = {
+    SpatialIndex,
+    PeerTopology,
+    ClientView,
+    Room,
+    StateManager,
+    getPlayerLocation,
+    distanceSq
+};
@@ -0,0 +1,77 @@
+// PairingManager: pairing codes, their attempt limits and session tokens.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { PairingManager } = require("../auth");
+
+const config = {
+    REQUIRE_PAIRING: true,
+    PAIRING_CODE_TTL: 60000,
+    PAIRING_MAX_ATTEMPTS: 3,
+    PAIRING_IP_MAX_FAILURES: 5,
+    PAIRING_IP_WINDOW: 60000,
+    SESSION_TOKEN_TTL: 60000
+};
+
+function code(error) {
+    return { code: error };
+}
+
+test('a code works once it is right, whatever the gamertag case', () => {
+    const pairing = new PairingManager(config);
+    pairing.registerCode('w1', 'Steve', '123456');
+
+    assert.strictEqual(pairing.authenticate('w1', 'steve', { pairingCode: '123456' }, '10.0.0.1'), 'pairing-code');
+    pairing.consume('w1', 'steve', { pairingCode: '123456' });
+    assert.throws(() => pairing.authenticate('w1', 'Steve', { pairingCode: '123456' }, '10.0.0.1'), code('INVALID_PAIRING_CODE'));
+});
+
+test('a code is void after PAIRING_MAX_ATTEMPTS wrong guesses', () => {
+    const pairing = new PairingManager(config);
+    pairing.registerCode('w1', 'Steve', '123456');
+
+    for (let i = 0; i < config.PAIRING_MAX_ATTEMPTS; i++) {
+        assert.throws(() => pairing.authenticate('w1', 'Steve', { pairingCode: `00000${i}` }, `10.0.0.${i}`), code('INVALID_PAIRING_CODE'));
+    }
+    assert.throws(() => pairing.authenticate('w1', 'Steve', { pairingCode: '123456' }, '10.0.1.1'), code('INVALID_PAIRING_CODE'));
+
+    // The addon re-sending the same code doesn't revive it
+    pairing.registerCode('w1', 'Steve', '123456');
+    assert.throws(() => pairing.authenticate('w1', 'Steve', { pairingCode: '123456' }, '10.0.1.1'), code('INVALID_PAIRING_CODE'));
+
+    // A new code does
+    pairing.registerCode('w1', 'Steve', '654321');
+    assert.strictEqual(pairing.authenticate('w1', 'Steve', { pairingCode: '654321' }, '10.0.1.1'), 'pairing-code');
+});
+
+test('an address is blocked after PAIRING_IP_MAX_FAILURES failures across gamertags', () => {
+    const pairing = new PairingManager(config);
+    pairing.registerCode('w1', 'Alex', '111111');
+
+    for (let i = 0; i < config.PAIRING_IP_MAX_FAILURES; i++) {
+        assert.throws(() => pairing.authenticate('w1', `Player${i}`, { pairingCode: '000000' }, '10.0.0.9'), code('INVALID_PAIRING_CODE'));
+    }
+    assert.throws(() => pairing.authenticate('w1', 'Alex', { pairingCode: '111111' }, '10.0.0.9'), code('TOO_MANY_ATTEMPTS'));
+    assert.strictEqual(pairing.authenticate('w1', 'Alex', { pairingCode: '111111' }, '10.0.0.10'), 'pairing-code');
+
+    // Forgotten once the window is over
+    pairing.cleanup(Date.now() + config.PAIRING_IP_WINDOW);
+    assert.strictEqual(pairing.isIpBlocked('10.0.0.9'), false);
+});
+
+test('session tokens are bound to their world and gamertag', () => {
+    const pairing = new PairingManager(config);
+    const { token } = pairing.issueSession('w1', 'Steve');
+
+    assert.strictEqual(pairing.authenticate('w1', 'STEVE', { sessionToken: token }), 'session');
+    assert.throws(() => pairing.authenticate('w2', 'Steve', { sessionToken: token }), code('INVALID_SESSION_TOKEN'));
+    assert.throws(() => pairing.authenticate('w1', 'Alex', { sessionToken: token }), code('INVALID_SESSION_TOKEN'));
+
+    pairing.revokeSessionsFor('w1', 'steve');
+    assert.throws(() => pairing.authenticate('w1', 'Steve', { sessionToken: token }), code('INVALID_SESSION_TOKEN'));
+});
+
+test('without credentials only an open server lets players in', () => {
+    assert.throws(() => new PairingManager(config).authenticate('w1', 'Steve', {}), code('PAIRING_REQUIRED'));
+    assert.strictEqual(new PairingManager({ ...config, REQUIRE_PAIRING: false }).authenticate('w1', 'Steve', {}), 'none');
+});
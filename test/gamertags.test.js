@@ -0,0 +1,64 @@
+// HTTP gamertag verifier against a local fake lookup service.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createGamertagVerifier, sameGamertag } = require("../gamertags");
+
+// /search/<gamertag>: Steve exists, Slow never answers, anyone else is a 404
+function createLookupService() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const gamertag = decodeURIComponent(req.url.slice('/search/'.length));
+        requests.push(gamertag);
+        if (gamertag.toLowerCase() === 'slow') return;
+        if (gamertag.toLowerCase() === 'steve') {
+            res.end('<h1>Steve</h1><p>Gamerscore 1234</p>');
+            return;
+        }
+        res.statusCode = 404;
+        res.end('Not found');
+    });
+
+    return {
+        requests,
+        listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+test('http gamertag verifier', async (t) => {
+    const service = createLookupService();
+    const port = await service.listen();
+    const verifier = createGamertagVerifier({
+        GAMERTAG_VERIFIER: 'http',
+        GAMERTAG_LOOKUP_URL: `http://127.0.0.1:${port}/search/{gamertag}`,
+        GAMERTAG_LOOKUP_MATCH: 'Gamerscore',
+        GAMERTAG_LOOKUP_TIMEOUT: 200,
+        GAMERTAG_CACHE_SIZE: 10,
+        GAMERTAG_CACHE_TTL: 60000
+    });
+
+    t.after(() => service.close());
+
+    await t.test('finds an existing gamertag and caches it whatever the case', async () => {
+        assert.deepStrictEqual(await verifier.verify('Steve'), { exists: true, cached: false });
+        assert.deepStrictEqual(await verifier.verify('steve'), { exists: true, cached: true });
+        assert.deepStrictEqual(await verifier.verify('  STEVE '), { exists: true, cached: true });
+        assert.strictEqual(service.requests.filter(tag => sameGamertag(tag, 'Steve')).length, 1);
+    });
+
+    await t.test('treats a 404 as no such gamertag', async () => {
+        assert.deepStrictEqual(await verifier.verify('Nobody Here'), { exists: false, cached: false });
+        assert.deepStrictEqual(await verifier.verify('nobody here'), { exists: false, cached: true });
+    });
+
+    await t.test('rejects when the lookup times out and does not cache it', async () => {
+        await assert.rejects(verifier.verify('Slow'), { code: 'ECONNABORTED' });
+        await assert.rejects(verifier.verify('Slow'), { code: 'ECONNABORTED' });
+        assert.strictEqual(service.requests.filter(tag => tag === 'Slow').length, 2);
+    });
+});
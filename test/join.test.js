@@ -0,0 +1,145 @@
+// Joining a world over WebSocket: pairing codes, session resumption and bans.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const WebSocket = require("ws");
+const { createEnviroVoiceServer } = require("../envirovoice");
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// Opens a socket and records what it receives until it closes
+function connect(url) {
+    const ws = new WebSocket(url);
+    const client = { ws, messages: [], waiters: [] };
+    client.closed = new Promise(resolve => ws.on('close', (code) => resolve(code)));
+
+    ws.on('message', (raw) => {
+        const message = JSON.parse(raw);
+        client.messages.push(message);
+        client.waiters = client.waiters.filter(({ type, resolve }) => {
+            if (message.type !== type) return true;
+            resolve(message);
+            return false;
+        });
+    });
+
+    // Next message of a type (or one already received)
+    client.next = (type) => {
+        const received = client.messages.find(message => message.type === type);
+        if (received) return Promise.resolve(received);
+        return new Promise(resolve => client.waiters.push({ type, resolve }));
+    };
+
+    return new Promise((resolve, reject) => {
+        ws.once('open', () => resolve(client));
+        ws.once('error', reject);
+    });
+}
+
+async function join(url, data) {
+    const client = await connect(url);
+    client.ws.send(JSON.stringify({ type: 'join', worldId: 'w1', ...data }));
+    return client;
+}
+
+test('joining a world', async (t) => {
+    const voice = createEnviroVoiceServer({
+        env: {},
+        config: { LOG_LEVEL: 'error', ADMIN_TOKEN, BROADCAST_TICK_RATE: 60 }
+    });
+    const server = await voice.listen(0, '127.0.0.1');
+    const base = `127.0.0.1:${server.address().port}`;
+    const url = `ws://${base}`;
+    const clients = [];
+
+    const post = (path, body) => fetch(`http://${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_TOKEN}` },
+        body: JSON.stringify(body)
+    });
+
+    // The addon shows Steve and Alex their codes
+    const ingest = await post('/minecraft-data', {
+        worldId: 'w1',
+        players: [
+            { name: 'Steve', location: { x: 0, y: 64, z: 0 }, data: { pairingCode: '123456' } },
+            { name: 'Alex', location: { x: 5, y: 64, z: 0 }, data: { pairingCode: '654321' } }
+        ]
+    });
+    assert.strictEqual(ingest.status, 200);
+
+    t.after(async () => {
+        for (const client of clients) client.ws.terminate();
+        await voice.close({ timeout: 100 });
+    });
+
+    await t.test('refuses a wrong pairing code', async () => {
+        const client = await join(url, { gamertag: 'Steve', pairingCode: '000000' });
+        clients.push(client);
+        assert.strictEqual((await client.next('error')).code, 'INVALID_PAIRING_CODE');
+        assert.strictEqual(await client.closed, 1008);
+    });
+
+    await t.test('refuses a join without credentials', async () => {
+        const client = await join(url, { gamertag: 'Steve' });
+        clients.push(client);
+        assert.strictEqual((await client.next('error')).code, 'PAIRING_REQUIRED');
+        assert.strictEqual(await client.closed, 1008);
+    });
+
+    let token;
+    let steve;
+    await t.test('accepts the right pairing code once and issues a session token', async () => {
+        steve = await join(url, { gamertag: 'steve', pairingCode: '123456' });
+        clients.push(steve);
+        const session = await steve.next('session');
+        assert.strictEqual(session.gamertag, 'Steve');
+        assert.strictEqual(session.resumed, false);
+        assert.match(session.token, /^[0-9a-f]{64}$/);
+        token = session.token;
+
+        const again = await join(url, { gamertag: 'Steve', pairingCode: '123456' });
+        clients.push(again);
+        assert.strictEqual((await again.next('error')).code, 'INVALID_PAIRING_CODE');
+    });
+
+    await t.test('resumes with the session token and closes the old socket with 4000', async () => {
+        const resumed = await join(url, { gamertag: 'Steve', sessionToken: token });
+        clients.push(resumed);
+        const session = await resumed.next('session');
+        assert.strictEqual(session.resumed, true);
+        assert.notStrictEqual(session.token, token);
+
+        assert.strictEqual(await steve.closed, 4000);
+        steve = resumed;
+
+        // Tokens are single use
+        const replay = await join(url, { gamertag: 'Steve', sessionToken: token });
+        clients.push(replay);
+        assert.strictEqual((await replay.next('error')).code, 'INVALID_SESSION_TOKEN');
+    });
+
+    await t.test('closes banned players with 4003 and keeps them out', async () => {
+        const response = await post('/admin/bans', { gamertag: 'STEVE', worldId: 'w1', reason: 'test' });
+        assert.strictEqual(response.status, 201);
+        assert.strictEqual((await response.json()).disconnected, 1);
+        assert.strictEqual(await steve.closed, 4003);
+
+        // A fresh code doesn't get past the ban
+        await post('/minecraft-data', {
+            worldId: 'w1',
+            players: [
+                { name: 'Steve', location: { x: 0, y: 64, z: 0 }, data: { pairingCode: '111111' } },
+                { name: 'Alex', location: { x: 5, y: 64, z: 0 }, data: { pairingCode: '654321' } }
+            ]
+        });
+        const retry = await join(url, { gamertag: 'Steve', pairingCode: '111111' });
+        clients.push(retry);
+        assert.strictEqual((await retry.next('error')).code, 'BANNED');
+        assert.strictEqual(await retry.closed, 4003);
+
+        const alex = await join(url, { gamertag: 'Alex', pairingCode: '654321' });
+        clients.push(alex);
+        assert.strictEqual((await alex.next('session')).gamertag, 'Alex');
+    });
+});
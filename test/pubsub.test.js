@@ -0,0 +1,156 @@
+// RedisAdapter against a fake RESP server: pub/sub, hashes and resubscribing
+// after the connection drops.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+const { RedisAdapter, MemoryAdapter, MemoryHub, createAdapter } = require("../pubsub");
+
+function bulk(value) {
+    return value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+function array(items) {
+    return `*${items.length}\r\n` + items.map(bulk).join('');
+}
+
+// Commands arrive as arrays of bulk strings; null until one is complete
+function parseCommand(buf, offset) {
+    const end = buf.indexOf('\r\n', offset);
+    if (end === -1) return null;
+    const count = Number(buf.toString('utf8', offset + 1, end));
+    const args = [];
+    let position = end + 2;
+    for (let i = 0; i < count; i++) {
+        const lineEnd = buf.indexOf('\r\n', position);
+        if (lineEnd === -1) return null;
+        const length = Number(buf.toString('utf8', position + 1, lineEnd));
+        if (buf.length < lineEnd + 2 + length + 2) return null;
+        args.push(buf.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+        position = lineEnd + 2 + length + 2;
+    }
+    return { args, offset: position };
+}
+
+// Just enough of Redis for RedisAdapter
+function createFakeRedis() {
+    const sockets = new Set();
+    const subscriptions = new Map(); // channel → Set of sockets
+    const hashes = new Map();
+
+    function run(socket, [name, ...args]) {
+        switch (name.toUpperCase()) {
+            case 'SUBSCRIBE':
+                if (!subscriptions.has(args[0])) subscriptions.set(args[0], new Set());
+                subscriptions.get(args[0]).add(socket);
+                return `*3\r\n${bulk('subscribe')}${bulk(args[0])}:1\r\n`;
+            case 'PUBLISH': {
+                const subscribers = subscriptions.get(args[0]) || new Set();
+                for (const subscriber of subscribers) {
+                    subscriber.write(array(['message', args[0], args[1]]));
+                }
+                return `:${subscribers.size}\r\n`;
+            }
+            case 'HSET':
+                if (!hashes.has(args[0])) hashes.set(args[0], new Map());
+                hashes.get(args[0]).set(args[1], args[2]);
+                return ':1\r\n';
+            case 'HDEL':
+                return `:${hashes.get(args[0])?.delete(args[1]) ? 1 : 0}\r\n`;
+            case 'HGETALL':
+                return array(Array.from(hashes.get(args[0]) || []).flat());
+            default:
+                return `-ERR unknown command '${name}'\r\n`;
+        }
+    }
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let command;
+            while (buffer.length && (command = parseCommand(buffer, 0))) {
+                buffer = buffer.subarray(command.offset);
+                socket.write(run(socket, command.args));
+            }
+        });
+        socket.on('close', () => {
+            sockets.delete(socket);
+            for (const subscribers of subscriptions.values()) subscribers.delete(socket);
+        });
+        socket.on('error', () => {});
+    });
+
+    return {
+        server,
+        subscriptions,
+        listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+        // Drop every client connection, as a Redis restart would
+        dropConnections: () => { for (const socket of sockets) socket.destroy(); },
+        close: () => new Promise(resolve => { for (const socket of sockets) socket.destroy(); server.close(resolve); })
+    };
+}
+
+function nextMessage(handlers) {
+    return new Promise(resolve => handlers.push(resolve));
+}
+
+async function waitFor(check, timeout = 5000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('RedisAdapter', async (t) => {
+    const redis = createFakeRedis();
+    const port = await redis.listen();
+    const adapter = new RedisAdapter(`redis://127.0.0.1:${port}`);
+    adapter.on('error', () => {}); // the dropped connections below
+    await adapter.connect();
+
+    const waiting = [];
+    await adapter.subscribe('events', message => waiting.shift()?.(message));
+
+    t.after(async () => {
+        await adapter.close();
+        await redis.close();
+    });
+
+    await t.test('delivers published messages to subscribers', async () => {
+        const received = nextMessage(waiting);
+        await adapter.publish('events', { type: 'join', gamertag: 'Steve' });
+        assert.deepStrictEqual(await received, { type: 'join', gamertag: 'Steve' });
+    });
+
+    await t.test('round-trips hash fields as JSON', async () => {
+        await adapter.hset('participants', 'w1/steve', { instance: 'a', since: 1 });
+        await adapter.hset('participants', 'w1/alex', { instance: 'b', since: 2 });
+        await adapter.hdel('participants', 'w1/alex');
+        assert.deepStrictEqual(await adapter.hgetall('participants'), { 'w1/steve': { instance: 'a', since: 1 } });
+        assert.deepStrictEqual(await adapter.hgetall('missing'), {});
+    });
+
+    await t.test('resubscribes after a reconnect', async () => {
+        redis.dropConnections();
+        await waitFor(() => !adapter.commands.ready && !adapter.subscriber.ready);
+        await waitFor(() => adapter.commands.ready && redis.subscriptions.get('events')?.size === 1);
+
+        const received = nextMessage(waiting);
+        await adapter.publish('events', { type: 'leave', gamertag: 'Steve' });
+        assert.deepStrictEqual(await received, { type: 'leave', gamertag: 'Steve' });
+    });
+});
+
+test('memory adapters only share state through a shared hub', async () => {
+    const separate = [createAdapter('memory'), createAdapter('memory')];
+    await separate[0].hset('participants', 'w1/steve', 1);
+    assert.deepStrictEqual(await separate[1].hgetall('participants'), {});
+
+    const hub = new MemoryHub();
+    const shared = [new MemoryAdapter(hub), createAdapter('memory', { hub })];
+    await shared[0].hset('participants', 'w1/steve', 1);
+    assert.deepStrictEqual(await shared[1].hgetall('participants'), { 'w1/steve': 1 });
+});
@@ -0,0 +1,61 @@
+// PeerTopology: which participants hold a WebRTC link, and when it drops.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SpatialIndex, PeerTopology } = require("../state");
+const { Dimensions } = require("../dimensions");
+
+const config = {
+    PEER_CONNECT_RADIUS: 48,
+    PEER_DISCONNECT_RADIUS: 60,
+    MAX_PEERS: 8,
+    DEFAULT_DIMENSION: 'minecraft:overworld',
+    DIMENSION_LINKS: [],
+    DIMENSION_SCALES: {}
+};
+
+// Alice stands still, Bob at `distance` blocks east of her
+function place(index, distance) {
+    index.clear();
+    index.insert('Alice', { x: 0, y: 0, z: 0 }, 'minecraft:overworld');
+    index.insert('Bob', { x: distance, y: 0, z: 0 }, 'minecraft:overworld');
+}
+
+function createTopology() {
+    return {
+        topology: new PeerTopology(config),
+        index: new SpatialIndex(48, new Dimensions(config)),
+        participants: new Set(['Alice', 'Bob'])
+    };
+}
+
+test('links within the connect radius and keeps them up to the disconnect radius', () => {
+    const { topology, index, participants } = createTopology();
+
+    place(index, 40);
+    assert.deepStrictEqual(topology.update(participants, index), { connect: [['Alice', 'Bob']], disconnect: [] });
+
+    place(index, 55);
+    assert.deepStrictEqual(topology.update(participants, index), { connect: [], disconnect: [] });
+
+    place(index, 61);
+    assert.deepStrictEqual(topology.update(participants, index), { connect: [], disconnect: [['Alice', 'Bob']] });
+});
+
+test('keeps a shout link stable just past the shout range', () => {
+    const { topology, index, participants } = createTopology();
+    const rangeOf = name => name === 'Bob' ? 96 : 48;
+
+    place(index, 95);
+    assert.deepStrictEqual(topology.update(participants, index, rangeOf).connect, [['Alice', 'Bob']]);
+
+    // Hovering around the edge of the shout range doesn't flap
+    for (const distance of [97, 95, 97, 107]) {
+        place(index, distance);
+        assert.deepStrictEqual(topology.update(participants, index, rangeOf), { connect: [], disconnect: [] });
+    }
+
+    // Dropped once past the range plus the disconnect margin
+    place(index, 109);
+    assert.deepStrictEqual(topology.update(participants, index, rangeOf).disconnect, [['Alice', 'Bob']]);
+});